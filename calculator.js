@@ -1,97 +1,31 @@
-// ═══════════════════════════════════════
-//  Core Calculation Engine
-// ═══════════════════════════════════════
-
-class LeverageCalculator {
-  constructor(params) {
-    this.principal = params.principal;
-    this.leverage = params.leverage;
-    this.contractSize = params.contractSize;
-    this.lotStep = params.lotStep;
-    this.marginRatio = params.marginRatio / 100;
-    this.direction = params.direction;
-    this.compounding = params.compounding;
-  }
-
-  floorToStep(value) {
-    return Math.max(this.lotStep, Math.floor(value / this.lotStep) * this.lotStep);
-  }
-
-  calcTrade(balance, entry, exit, direction) {
-    const tradeCapital = balance * this.marginRatio;
-    const rawLots = (tradeCapital * this.leverage) / (this.contractSize * entry);
-    const lots = this.floorToStep(rawLots);
-    const units = lots * this.contractSize;
-    const margin = (units * entry) / this.leverage;
-    const contractValue = units * entry;
-    const effectiveLeverage = contractValue / balance;
-
-    const priceDiff = direction === 'long' ? exit - entry : entry - exit;
-    const profit = units * priceDiff;
-    const profitPct = (profit / balance) * 100;
-
-    const freeMargin = balance - margin;
-    const maxDDPrice = units > 0 ? freeMargin / units : 0;
-    const maxDDPct = (maxDDPrice / entry) * 100;
-
-    const liquidationPrice = direction === 'long'
-      ? entry - maxDDPrice
-      : entry + maxDDPrice;
-
-    return {
-      direction,
-      balanceBefore: balance,
-      tradeCapital,
-      lots: Math.round(lots * 1000) / 1000,
-      units,
-      margin,
-      contractValue,
-      effectiveLeverage,
-      entry,
-      exit,
-      profit,
-      profitPct,
-      maxDDPrice,
-      maxDDPct,
-      liquidationPrice,
-      freeMargin,
-      balanceAfter: balance + profit,
-    };
-  }
-
-  run(trades) {
-    let balance = this.principal;
-    const results = [];
-    const balanceCurve = [balance];
-
-    for (const t of trades) {
-      const dir = t.direction || this.direction;
-      const result = this.calcTrade(balance, t.entry, t.exit, dir);
-      results.push(result);
-
-      if (this.compounding) {
-        balance = result.balanceAfter;
-      } else {
-        balance = this.principal + results.reduce((s, r) => s + r.profit, 0);
-      }
-      balanceCurve.push(balance);
-    }
-
-    const finalBalance = balance;
-    const totalProfit = finalBalance - this.principal;
-    const totalReturn = (totalProfit / this.principal) * 100;
-
-    return { results, balanceCurve, finalBalance, totalProfit, totalReturn };
-  }
-}
+import {
+  LeverageCalculator, maxDrawdown, drawdownCurve, histogramBins, calcStatistics, groupBySymbol, MC_PERCENTILES, runMonteCarlo,
+  SWEEP_MAX_STEPS, sweepValues, runSweep, GOAL_VARIABLES, GOAL_CONSTRAINTS, averageTrades, solveGoal,
+  GENERIC_COLUMNS, MAPPING_FIELDS,
+  parseCSVTable, resolveColumns, detectCSVProfile, extractTrades, formatTime, resultRows, toCSV, tradeIssues,
+  extractBars, replayBars, ENTRY_RULES, PERP_SETTLEMENTS, MARGIN_MODES, PERP_DEFAULT_TIERS, parseLegs,
+  SIZING_MODES, KELLY_MIN_TRADES, compareSizing, WITHDRAW_MODES, parseCashFlows, performanceCurve,
+} from './engine.js';
+import {
+  INSTRUMENT_GROUPS, BROKER_PRESETS, presetCatalog, normalizeCatalog, normalizeInstrument, instrumentProblems, tickValue,
+} from './instruments.js';
 
 // ═══════════════════════════════════════
 //  UI Controller
 // ═══════════════════════════════════════
 
+const ACCOUNT_CURRENCY = 'USD';
+
 let tradeMode = 'price';
 let tradeCount = 0;
 let growthChart = null;
+let analysisChart = null;
+let chartView = 'balance';
+
+// 方案对比：固定的结果（第一个为基准）与最近一次计算
+const COMPARE_COLORS = ['#f5a524', '#34d399', '#f472b6', '#22d3ee', '#fb7185', '#facc15'];
+let pinnedRuns = [];
+let lastRun = null;
 
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
@@ -114,6 +48,65 @@ $('#marginRatioInput').addEventListener('input', (e) => {
 $('#principal').addEventListener('input', updateLotsPreview);
 $('#leverage').addEventListener('input', updateLotsPreview);
 $('#lotStep').addEventListener('input', updateLotsPreview);
+$('#quoteRate').addEventListener('input', updateLotsPreview);
+$('#riskPct').addEventListener('input', updateLotsPreview);
+$('#fixedLots').addEventListener('input', updateLotsPreview);
+$('#fixedMargin').addEventListener('input', updateLotsPreview);
+
+$('#asTraded').addEventListener('change', () => {
+  $('#qtyUnitGroup').style.display = $('#asTraded').checked ? '' : 'none';
+});
+
+// 凯利与连胜 / 连败加码以持仓比例为基础
+const RATIO_BASED_MODES = ['margin', 'kelly', 'antiMartingale', 'martingale'];
+
+$('#sizingMode').addEventListener('change', () => {
+  const mode = $('#sizingMode').value;
+  const streak = mode === 'antiMartingale' || mode === 'martingale';
+  $('#marginRatioGroup').style.display = RATIO_BASED_MODES.includes(mode) ? '' : 'none';
+  $('#riskPctGroup').style.display = mode === 'risk' ? '' : 'none';
+  $('#fixedLotsGroup').style.display = mode === 'fixedLot' ? '' : 'none';
+  $('#fixedMarginGroup').style.display = mode === 'fixedMargin' ? '' : 'none';
+  $('#kellyGroup').style.display = mode === 'kelly' ? '' : 'none';
+  $('#streakGroup').style.display = streak ? '' : 'none';
+  $('#streakHint').className = mode === 'martingale' ? 'hint profit-negative' : 'hint';
+  $('#streakHint').textContent = mode === 'martingale'
+    ? '⚠ 危险：每连亏一笔仓位乘以加码倍数（2 倍连续 3 次即 8 倍），一段连败就可能强平，仅用于演示风险'
+    : '连续盈利一笔仓位乘以加码倍数，亏损后恢复持仓比例';
+  updateLotsPreview();
+});
+
+// 仓位策略参数：输入框的百分比原样传入引擎
+function getSizingParams() {
+  return {
+    sizingMode: $('#sizingMode').value,
+    riskPct: parseFloat($('#riskPct').value) || 0,
+    fixedLots: parseFloat($('#fixedLots').value) || 0,
+    fixedMargin: parseFloat($('#fixedMargin').value) || 0,
+    kellyFraction: parseFloat($('#kellyFraction').value) || 0,
+    kellyWindow: parseInt($('#kellyWindow').value, 10) || 0,
+    streakFactor: parseFloat($('#streakFactor').value) || 0,
+    streakMax: parseInt($('#streakMax').value, 10) || 0,
+    ddThreshold: parseFloat($('#ddThreshold').value) || 0,
+    ddFactor: parseFloat($('#ddFactor').value) || 0,
+  };
+}
+
+// 仓位规则的简短描述（方案标签与报告共用）
+function describeSizing(params) {
+  if (params.useTradedQuantity) return '实际成交数量';
+  const streak = `×${params.streakFactor}（最多连续 ${params.streakMax} 次）`;
+  const text = {
+    margin: `持仓比例 ${params.marginRatio}%`,
+    risk: `单笔风险 ${params.riskPct}%`,
+    fixedLot: `固定 ${params.fixedLots} 手`,
+    fixedMargin: `固定保证金 $${params.fixedMargin}`,
+    kelly: `${params.kellyFraction}% 凯利（近 ${params.kellyWindow} 笔）`,
+    antiMartingale: `反马丁格尔 ${streak}`,
+    martingale: `马丁格尔 ${streak}`,
+  }[params.sizingMode] || `持仓比例 ${params.marginRatio}%`;
+  return text + (params.ddThreshold > 0 ? ` · 回撤 ${params.ddThreshold}% 后仓位 ${params.ddFactor}%` : '');
+}
 
 function getContractSizeValue() {
   const opt = $('#assetSelect').selectedOptions[0];
@@ -122,6 +115,192 @@ function getContractSizeValue() {
     : (parseFloat(opt.value) || 1);
 }
 
+function getPointSize() {
+  const opt = $('#assetSelect').selectedOptions[0];
+  return opt.value === 'custom'
+    ? (parseFloat($('#customPoint').value) || 0)
+    : (parseFloat(opt.dataset.point) || 0);
+}
+
+function getCostParams() {
+  return {
+    pointSize: getPointSize(),
+    spreadPoints: parseFloat($('#spread').value) || 0,
+    commissionPerLot: parseFloat($('#commission').value) || 0,
+    swapLong: parseFloat($('#swapLong').value) || 0,
+    swapShort: parseFloat($('#swapShort').value) || 0,
+    feeCurrency: $('#feeCurrency').value,
+  };
+}
+
+function updatePointInfo() {
+  const { quoteCurrency } = getCurrencyParams();
+  $('#pointInfo').textContent = `1 点 = ${getPointSize()} ${quoteCurrency}（价格单位）`;
+}
+
+function getMarginLevelParams() {
+  return {
+    marginCallLevel: parseFloat($('#marginCallLevel').value) || 0,
+    stopOutLevel: parseFloat($('#stopOutLevel').value) || 0,
+  };
+}
+
+// 维持保证金档位 "上限:费率%, ..."，留空返回 null（使用默认档位），格式有误返回 false
+function parsePerpTiers(text) {
+  const parts = text.split(/[,;，；\s]+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  const tiers = parts.map(part => {
+    const [max, mmr] = part.split(/[:：]/);
+    return { maxNotional: /^(∞|inf)$/i.test(max) ? Infinity : parseFloat(max), mmr: parseFloat(mmr) };
+  });
+  return tiers.every(t => t.maxNotional > 0 && t.mmr >= 0 && t.mmr < 100) ? tiers : false;
+}
+
+function getPerpParams() {
+  if (!$('#perpMode').checked) return { perp: null };
+  return {
+    perp: {
+      settlement: $('#perpSettlement').value,
+      marginMode: $('#perpMarginMode').value,
+      faceValue: parseFloat($('#perpFaceValue').value) || 0,
+      fundingRate: parseFloat($('#fundingRate').value) || 0,
+      fundingIntervalHours: parseFloat($('#fundingInterval').value) || 8,
+      tiers: parsePerpTiers($('#perpTiers').value) || null,
+    },
+  };
+}
+
+function updatePerpFields() {
+  const settlement = $('#perpSettlement').value;
+  const unit = settlement === 'inverse' ? '币' : 'USDT';
+  const tiers = parsePerpTiers($('#perpTiers').value);
+  const first = (tiers || PERP_DEFAULT_TIERS[settlement])[0];
+  $('#perpFaceValueGroup').style.display = settlement === 'inverse' ? '' : 'none';
+  $('#perpTiersInfo').textContent = tiers === false ? '格式：上限:费率%，以逗号分隔，末档上限可写 ∞'
+    : `${tiers ? '自定义' : '默认'} ${(tiers || PERP_DEFAULT_TIERS[settlement]).length} 档，名义价值按 ${unit} 计；首档 ≤ ${first.maxNotional} 时维持保证金率 ${first.mmr}%`;
+}
+
+['#perpMode', '#perpSettlement', '#perpMarginMode'].forEach(sel => $(sel).addEventListener('change', () => {
+  updatePerpFields();
+  updateLotsPreview();
+}));
+$('#perpFaceValue').addEventListener('input', updateLotsPreview);
+$('#perpTiers').addEventListener('input', updatePerpFields);
+updatePerpFields();
+
+// 存取款文本格式有误时按空处理，由 readInputs 标出
+function getCashFlowParams() {
+  const mode = $('#withdrawMode').value;
+  return {
+    cashFlows: parseCashFlows($('#cashFlows').value) || [],
+    withdrawRule: mode
+      ? { mode, every: parseInt($('#withdrawEvery').value, 10) || 0, pct: parseFloat($('#withdrawPct').value) }
+      : null,
+  };
+}
+
+function describeCashFlows(params) {
+  const parts = [];
+  const flows = params.cashFlows || [];
+  const deposits = flows.filter(f => f.amount > 0).reduce((s, f) => s + f.amount, 0);
+  const withdrawals = flows.filter(f => f.amount < 0).reduce((s, f) => s - f.amount, 0);
+  if (deposits > 0) parts.push(`存入 ${formatUSD(deposits)}`);
+  if (withdrawals > 0) parts.push(`取出 ${formatUSD(withdrawals)}`);
+  if (params.withdrawRule) {
+    const { mode, every, pct } = params.withdrawRule;
+    parts.push(`每 ${every} 笔${WITHDRAW_MODES[mode]} ${pct}%`);
+  }
+  return parts.join(' · ');
+}
+
+function updateCashFlowFields() {
+  const flows = parseCashFlows($('#cashFlows').value);
+  const rule = $('#withdrawMode').value;
+  $('#withdrawEvery').disabled = !rule;
+  $('#withdrawPct').disabled = !rule;
+  $('#cashFlowsInfo').textContent = flows === null ? '格式：第几笔之后:金额，以逗号分隔；0 为首笔之前，负数为取出'
+    : flows.length > 0 || rule ? describeCashFlows(getCashFlowParams()) : '';
+}
+
+$('#cashFlows').addEventListener('input', updateCashFlowFields);
+['#withdrawMode', '#withdrawEvery', '#withdrawPct'].forEach(sel => $(sel).addEventListener('input', updateCashFlowFields));
+updateCashFlowFields();
+
+function getCurrencyParams() {
+  const opt = $('#assetSelect').selectedOptions[0];
+  const quote = opt.value === 'custom'
+    ? ($('#customQuote').value.trim().toUpperCase() || ACCOUNT_CURRENCY)
+    : (opt.dataset.quote || ACCOUNT_CURRENCY);
+  return {
+    accountCurrency: ACCOUNT_CURRENCY,
+    baseCurrency: opt.value === 'custom' ? '' : (opt.dataset.base || ''),
+    quoteCurrency: quote,
+    quoteRate: parseFloat($('#quoteRate').value) || 0,
+  };
+}
+
+// 品种规格：从品种目录读取，自定义品种返回 null
+function getAssetSpec(name) {
+  const inst = catalog.instruments.find(i => i.symbol === name);
+  if (!inst) return null;
+  const { contractSize, lotStep, minLot, maxLot, maxLeverage, baseCurrency, quoteCurrency, pointSize, spreadPoints } = inst;
+  return { symbol: name, contractSize, lotStep, minLot, maxLot, maxLeverage, baseCurrency, quoteCurrency, pointSize, spreadPoints };
+}
+
+// 全局品种的手数与杠杆限制（自定义品种不限）
+function getAssetLimits() {
+  const spec = getAssetSpec($('#assetSelect').selectedOptions[0].dataset.name);
+  return { minLot: spec?.minLot || 0, maxLot: spec?.maxLot || 0, maxLeverage: spec?.maxLeverage || 0 };
+}
+
+// 把导入的原始品种名（如 XAUUSD.m、BTCUSDT）匹配到品种列表，优先全等，其次最长前缀
+function matchAssetName(rawSymbol) {
+  const sym = (rawSymbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!sym) return '';
+  const names = [...$('#assetSelect').options]
+    .map(o => o.dataset.name)
+    .filter(n => n && n !== 'CUSTOM')
+    .sort((a, b) => b.length - a.length);
+  return names.find(n => n === sym) || names.find(n => sym.startsWith(n)) || '';
+}
+
+// 交易行的品种下拉：首项跟随全局，其余按 #assetSelect 分组（不含自定义品种）
+function rowAssetOptions() {
+  let html = '<option value="">全局</option>';
+  $('#assetSelect').querySelectorAll('optgroup').forEach(group => {
+    const opts = [...group.querySelectorAll('option')].filter(o => o.value !== 'custom');
+    if (opts.length === 0) return;
+    html += `<optgroup label="${group.label}">${
+      opts.map(o => `<option value="${o.dataset.name}">${o.dataset.name}</option>`).join('')
+    }</optgroup>`;
+  });
+  return html;
+}
+
+function updateRowRateField(row) {
+  const name = row.querySelector('.trade-asset')?.value;
+  const quote = name ? getAssetSpec(name)?.quoteCurrency : getCurrencyParams().quoteCurrency;
+  row.classList.toggle('show-rate', quote !== ACCOUNT_CURRENCY);
+}
+
+// 报价货币非账户货币时显示汇率输入（全局 + 逐笔）
+function updateQuoteRateField() {
+  const { baseCurrency, quoteCurrency } = getCurrencyParams();
+  const show = quoteCurrency !== ACCOUNT_CURRENCY;
+  $('#quoteRateGroup').style.display = show ? '' : 'none';
+  $$('.trade-row').forEach(updateRowRateField);
+  if (!show) return;
+
+  $('#quoteRateLabel').textContent = `报价货币汇率 (1 ${quoteCurrency} = ? ${ACCOUNT_CURRENCY})`;
+  if (baseCurrency === ACCOUNT_CURRENCY) {
+    $('#quoteRate').placeholder = '留空则按成交价自动换算';
+    $('#quoteRateHint').textContent = `${baseCurrency}${quoteCurrency}：汇率 = 1 / 价格，也可逐笔填写`;
+  } else {
+    $('#quoteRate').placeholder = `${quoteCurrency}${ACCOUNT_CURRENCY} 汇率`;
+    $('#quoteRateHint').textContent = '全局汇率，交易行中填写的汇率优先';
+  }
+}
+
 function updateLotsPreview() {
   const principal = parseFloat($('#principal').value) || 0;
   const leverage = parseFloat($('#leverage').value) || 1;
@@ -129,21 +308,53 @@ function updateLotsPreview() {
   const lotStep = parseFloat($('#lotStep').value) || 0.01;
   const ratio = (parseFloat($('#marginRatioInput').value) || 10) / 100;
 
-  const firstEntry = document.querySelector('.trade-row .trade-entry');
-  const entryPrice = firstEntry ? parseFloat(firstEntry.value) : NaN;
+  const sizing = getSizingParams();
+  const riskMode = sizing.sizingMode === 'risk';
+  const riskPct = sizing.riskPct;
+
+  const firstRow = document.querySelector('.trade-row');
+  const entryPrice = firstRow ? parseFloat(firstRow.querySelector('.trade-entry')?.value) : NaN;
+  const direction = firstRow?.querySelector('.trade-dir')?.value || 'long';
+  const stopLoss = firstRow ? parseFloat(firstRow.querySelector('.trade-sl')?.value) : NaN;
+  const budgetText = {
+    risk: `风险金额 $${(principal * riskPct / 100).toFixed(2)}`,
+    fixedLot: `固定 ${sizing.fixedLots} 手`,
+    fixedMargin: `保证金 $${sizing.fixedMargin.toFixed(2)}`,
+  }[sizing.sizingMode] || `持仓资金 $${(principal * ratio).toFixed(2)}${sizing.sizingMode === 'margin' ? '' : '（首笔，之后按策略调整）'}`;
 
   const el = $('#lotsPreview');
   if (isNaN(entryPrice) || entryPrice <= 0 || principal <= 0) {
-    el.textContent = `持仓资金 $${(principal * ratio).toFixed(2)} · 需输入入场价计算手数`;
+    el.textContent = `${budgetText} · 需输入入场价计算手数`;
+    return;
+  }
+
+  const { perp } = getPerpParams();
+  const calc = new LeverageCalculator({
+    ...getCurrencyParams(), ...getAssetLimits(), perp, principal, leverage, contractSize, lotStep,
+    ...sizing,
+    marginRatio: ratio * 100,
+  });
+  const firstRate = parseFloat(firstRow.querySelector('.trade-rate')?.value) || 0;
+  if (calc.needsQuoteRate() && !calc.quoteRate && !firstRate) {
+    el.textContent = `${budgetText} · 需输入 ${calc.quoteCurrency} 汇率计算手数`;
+    return;
+  }
+  if (riskMode && calc.stopDistance(entryPrice, stopLoss, direction) <= 0) {
+    el.textContent = `${budgetText} · 需输入有效止损价计算手数`;
     return;
   }
 
-  const tradeCapital = principal * ratio;
-  const rawLots = (tradeCapital * leverage) / (contractSize * entryPrice);
-  const lots = Math.max(lotStep, Math.floor(rawLots / lotStep) * lotStep);
+  const result = calc.calcTrade(principal, entryPrice, entryPrice, direction, { quoteRate: firstRate, stopLoss });
+  if (result.rejected) {
+    el.textContent = `${budgetText} · ${tradeIssues([result])[0].message}`;
+    return;
+  }
+  const { lots } = result;
   const lotsDisplay = lots.toFixed(Math.max(2, -Math.floor(Math.log10(lotStep))));
+  const capped = result.maxLot ? `（超过最大手数，规则为 ${+result.sizedLots.toFixed(4)}）` : '';
+  const levCap = calc.leverage < leverage ? ` · 按品种杠杆上限 ${calc.leverage}x` : '';
 
-  el.textContent = `持仓资金 $${tradeCapital.toFixed(2)} · ≈ ${lotsDisplay} 手`;
+  el.textContent = `${budgetText} · ≈ ${lotsDisplay} ${perp?.settlement === 'inverse' ? '张' : '手'}${capped}${levCap}`;
 }
 
 // Asset selector
@@ -162,14 +373,251 @@ $('#assetSelect').addEventListener('change', (e) => {
   } else {
     $('#customContractGroup').style.display = 'none';
     $('#contractSize').value = opt.value;
+    // 点差以品种的点为单位，换品种时取目录中该品种的点差
+    $('#spread').value = opt.dataset.spread || 0;
     $('#lotStep').readOnly = true;
     $('#lotStep').style.opacity = '.7';
     $('#lotStep').style.cursor = 'default';
   }
+  updateQuoteRateField();
+  updatePointInfo();
   updateLotsPreview();
 });
 
 $('#contractSize').addEventListener('input', updateLotsPreview);
+$('#customQuote').addEventListener('input', () => {
+  updateQuoteRateField();
+  updatePointInfo();
+  updateLotsPreview();
+});
+$('#customPoint').addEventListener('input', updatePointInfo);
+
+// ═══════════════════════════════════════
+//  品种目录（预设 / 编辑 / 导入导出）
+// ═══════════════════════════════════════
+
+const CATALOG_STORAGE_KEY = 'leverageCalculator.catalog';
+const DEFAULT_ASSET = 'XAGUSD';
+
+// 编辑器字段 → 输入框
+const INSTRUMENT_INPUTS = {
+  symbol: '#instSymbol',
+  group: '#instGroup',
+  name: '#instName',
+  info: '#instInfo',
+  contractSize: '#instContractSize',
+  pointSize: '#instPointSize',
+  lotStep: '#instLotStep',
+  minLot: '#instMinLot',
+  maxLot: '#instMaxLot',
+  maxLeverage: '#instMaxLeverage',
+  baseCurrency: '#instBase',
+  quoteCurrency: '#instQuote',
+  spreadPoints: '#instSpread',
+};
+
+function readSavedCatalog() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY));
+    return saved ? normalizeCatalog(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+let catalog = readSavedCatalog() || presetCatalog('standard');
+let editingIndex = null;
+
+function showCatalogStatus(msg, type = 'success') {
+  const el = $('#catalogStatus');
+  el.textContent = msg;
+  el.className = 'csv-status ' + type;
+  setTimeout(() => {
+    el.className = 'csv-status';
+    el.textContent = '';
+  }, 4000);
+}
+
+function assetOptionHTML(inst) {
+  const base = inst.baseCurrency ? ` data-base="${inst.baseCurrency}"` : '';
+  return `<option value="${inst.contractSize}" data-step="${inst.lotStep}" data-name="${inst.symbol}"${base}`
+    + ` data-quote="${inst.quoteCurrency}" data-point="${inst.pointSize}" data-spread="${inst.spreadPoints}" data-info="${xmlEscape(inst.info)}">`
+    + `${inst.symbol}${inst.name ? ` - ${xmlEscape(inst.name)}` : ''}</option>`;
+}
+
+// 按分类生成 #assetSelect，保留当前所选品种（已删除时选第一个）
+function renderAssetOptions() {
+  const select = $('#assetSelect');
+  const current = select.selectedOptions[0]?.dataset.name || DEFAULT_ASSET;
+  let html = '';
+  Object.entries(INSTRUMENT_GROUPS).forEach(([group, label]) => {
+    const list = catalog.instruments.filter(i => i.group === group);
+    if (list.length > 0) html += `<optgroup label="── ${label} ──">${list.map(assetOptionHTML).join('')}</optgroup>`;
+  });
+  html += `<optgroup label="── 自定义 ──">
+    <option value="custom" data-step="0.01" data-name="CUSTOM" data-quote="USD" data-point="0.01" data-info="手动输入合约面值">自定义品种...</option>
+  </optgroup>`;
+  select.innerHTML = html;
+  ([...select.options].find(o => o.dataset.name === current) || select.options[0]).selected = true;
+}
+
+function renderCatalogPanel() {
+  $('#catalogPreset').innerHTML = Object.entries(BROKER_PRESETS)
+    .map(([id, p]) => `<option value="${id}"${id === catalog.preset ? ' selected' : ''}>${p.name}</option>`).join('');
+  $('#catalogInfo').textContent = `当前目录：${catalog.name}（${catalog.instruments.length} 个品种）`;
+
+  const limit = (v, unit = '') => (v > 0 ? `${v}${unit}` : '不限');
+  $('#catalogTable').innerHTML = `<table class="result-table">
+    <thead><tr><th>品种</th><th>合约面值</th><th>每点价值</th><th>点差</th><th>手数（步进 / 最小 / 最大）</th><th>杠杆上限</th><th></th></tr></thead>
+    <tbody>${catalog.instruments.map((inst, i) => `<tr>
+      <td>${inst.symbol}</td>
+      <td>${inst.contractSize}</td>
+      <td>${+tickValue(inst).toPrecision(6)} ${inst.quoteCurrency}</td>
+      <td>${inst.spreadPoints}</td>
+      <td>${inst.lotStep} / ${inst.minLot} / ${limit(inst.maxLot)}</td>
+      <td>${limit(inst.maxLeverage, 'x')}</td>
+      <td class="catalog-actions">
+        <button class="btn btn-outline" data-action="edit" data-index="${i}">编辑</button>
+        <button class="btn btn-outline" data-action="clone" data-index="${i}">复制</button>
+        <button class="btn btn-ghost" data-action="delete" data-index="${i}">删除</button>
+      </td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+}
+
+// 目录变更后保存，并刷新全局与交易行的品种下拉
+function applyCatalog() {
+  try {
+    localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(catalog));
+  } catch (err) {
+    showCatalogStatus('目录未能保存到浏览器（存储不可用或已满），刷新后会丢失', 'error');
+  }
+  renderAssetOptions();
+  $$('.trade-row').forEach(row => {
+    const select = row.querySelector('.trade-asset');
+    if (!select) return;
+    const value = select.value;
+    select.innerHTML = rowAssetOptions();
+    select.value = getAssetSpec(value) ? value : '';
+  });
+  $('#assetSelect').dispatchEvent(new Event('change'));
+  renderCatalogPanel();
+}
+
+function openInstrumentEditor(index, clone = false) {
+  const inst = index === null ? normalizeInstrument({ group: 'metals' }) : catalog.instruments[index];
+  editingIndex = clone ? null : index;
+  Object.entries(INSTRUMENT_INPUTS).forEach(([field, sel]) => {
+    $(sel).value = clone && field === 'symbol' ? `${inst.symbol}.COPY` : inst[field] || (field === 'group' ? 'metals' : '');
+  });
+  $('#instTickValue').value = inst.contractSize > 0 && inst.pointSize > 0 ? +tickValue(inst).toPrecision(10) : '';
+  $$('#instrumentEditor .field-error').forEach(el => el.remove());
+  $$('#instrumentEditor .invalid').forEach(el => el.classList.remove('invalid'));
+  $('#instrumentEditor').style.display = '';
+  $('#instSymbol').focus();
+}
+
+function saveInstrumentFromEditor() {
+  $$('#instrumentEditor .field-error').forEach(el => el.remove());
+  $$('#instrumentEditor .invalid').forEach(el => el.classList.remove('invalid'));
+  const raw = {};
+  Object.entries(INSTRUMENT_INPUTS).forEach(([field, sel]) => { raw[field] = $(sel).value; });
+  const inst = normalizeInstrument(raw);
+
+  const problems = instrumentProblems(inst);
+  const duplicate = catalog.instruments.findIndex(i => i.symbol === inst.symbol);
+  if (duplicate >= 0 && duplicate !== editingIndex) problems.push({ field: 'symbol', message: `品种 ${inst.symbol} 已存在` });
+  if (problems.length > 0) {
+    problems.forEach(p => fieldError($(INSTRUMENT_INPUTS[p.field]), p.message));
+    return;
+  }
+
+  const instruments = [...catalog.instruments];
+  if (editingIndex === null) instruments.push(inst);
+  else instruments[editingIndex] = inst;
+  catalog = { ...catalog, instruments };
+  $('#instrumentEditor').style.display = 'none';
+  editingIndex = null;
+  applyCatalog();
+  showCatalogStatus(`已保存品种 ${inst.symbol}`);
+}
+
+$('#instGroup').innerHTML = Object.entries(INSTRUMENT_GROUPS)
+  .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+
+// 每点价值 = 合约面值 × 点值：改每点价值时反推合约面值，改另外两项时重算每点价值
+$('#instTickValue').addEventListener('input', () => {
+  const tick = parseFloat($('#instTickValue').value);
+  const point = parseFloat($('#instPointSize').value);
+  if (tick > 0 && point > 0) $('#instContractSize').value = +(tick / point).toPrecision(10);
+});
+['#instContractSize', '#instPointSize'].forEach(sel => $(sel).addEventListener('input', () => {
+  const size = parseFloat($('#instContractSize').value);
+  const point = parseFloat($('#instPointSize').value);
+  $('#instTickValue').value = size > 0 && point > 0 ? +(size * point).toPrecision(10) : '';
+}));
+
+$('#catalogTable').addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const index = Number(btn.dataset.index);
+  const inst = catalog.instruments[index];
+  if (btn.dataset.action === 'edit') openInstrumentEditor(index);
+  else if (btn.dataset.action === 'clone') openInstrumentEditor(index, true);
+  else if (btn.dataset.action === 'delete') {
+    if (catalog.instruments.length === 1) {
+      alert('目录至少保留一个品种');
+      return;
+    }
+    if (!confirm(`删除品种 ${inst.symbol}？`)) return;
+    catalog = { ...catalog, instruments: catalog.instruments.filter((_, i) => i !== index) };
+    $('#instrumentEditor').style.display = 'none';
+    applyCatalog();
+  }
+});
+
+$('#addInstrument').addEventListener('click', () => openInstrumentEditor(null));
+$('#saveInstrument').addEventListener('click', saveInstrumentFromEditor);
+$('#cancelInstrument').addEventListener('click', () => {
+  $('#instrumentEditor').style.display = 'none';
+  editingIndex = null;
+});
+
+$('#loadPreset').addEventListener('click', () => {
+  const id = $('#catalogPreset').value;
+  if (!confirm(`用预设"${BROKER_PRESETS[id].name}"替换当前目录？未导出的修改将丢失`)) return;
+  catalog = presetCatalog(id);
+  applyCatalog();
+  showCatalogStatus(`已载入预设"${catalog.name}"`);
+});
+
+$('#exportCatalog').addEventListener('click', () => {
+  downloadFile(`${catalog.name}.json`, JSON.stringify(catalog, null, 2), 'application/json');
+});
+
+$('#importCatalog').addEventListener('click', () => $('#catalogFileInput').click());
+
+$('#catalogFileInput').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (ev) => {
+    try {
+      catalog = normalizeCatalog(JSON.parse(ev.target.result));
+    } catch (err) {
+      showCatalogStatus(`无法导入 ${file.name}：${err.message}`, 'error');
+      return;
+    }
+    applyCatalog();
+    showCatalogStatus(`已导入目录"${catalog.name}"（${catalog.instruments.length} 个品种）`);
+  };
+  reader.readAsText(file);
+});
+
+renderAssetOptions();
+renderCatalogPanel();
 
 // Tab switching
 $$('.tab').forEach(tab => {
@@ -187,24 +635,47 @@ function createTradeRow(index) {
   div.dataset.index = index;
 
   const dirSelect = `<select class="trade-dir"><option value="long">多</option><option value="short">空</option></select>`;
+  const assetSelect = `<select class="trade-asset" title="品种（默认跟随全局）">${rowAssetOptions()}</select>`;
+  const rateInput = `<input type="number" class="trade-rate" placeholder="汇率" step="any" title="报价货币→${ACCOUNT_CURRENCY} 汇率（留空用全局）">`;
+  const extra = `
+    <button class="more-btn" title="更多参数">⋯</button>
+    <button class="remove-btn" title="删除">×</button>
+    <div class="trade-extra">
+      <label>点差 (点)<input type="number" class="trade-spread" placeholder="全局" min="0" step="any"></label>
+      <label>持仓晚数<input type="number" class="trade-nights" placeholder="0" min="0" step="1"></label>
+      <label>最差价 (MAE)<input type="number" class="trade-worst" placeholder="可选" step="any"></label>
+      <label>手续费<input type="number" class="trade-fee" placeholder="0" step="any"></label>
+      <label>杠杆<input type="number" class="trade-lev" placeholder="全局" min="1" step="1"></label>
+      <label>开仓时间<input type="text" class="trade-time" placeholder="2024-01-02 10:00"></label>
+      <label>平仓时间<input type="text" class="trade-closetime" placeholder="2024-01-03 15:30"></label>
+      <label>数量<input type="number" class="trade-qty" placeholder="-" step="any"></label>
+      <label class="wide" title="+ 加仓 / - 减仓，数量为手数或百分比（加仓相对首次开仓，减仓相对当时持仓），@ 后为价格；出场价平掉剩余仓位">加减仓
+        <input type="text" class="trade-legs" placeholder="+0.05@2010, -50%@2030"></label>
+    </div>`;
 
   if (tradeMode === 'price') {
     div.innerHTML = `
       <span class="trade-num">#${index + 1}</span>
       ${dirSelect}
+      ${assetSelect}
       <input type="number" class="trade-entry" placeholder="入场价" step="any">
       <span style="color:var(--text-dim)">→</span>
       <input type="number" class="trade-exit" placeholder="出场价" step="any">
-      <button class="remove-btn" title="删除">×</button>
+      <input type="number" class="trade-sl" placeholder="止损" step="any">
+      ${rateInput}
+      ${extra}
     `;
   } else {
     div.innerHTML = `
       <span class="trade-num">#${index + 1}</span>
       ${dirSelect}
+      ${assetSelect}
       <input type="number" class="trade-entry" placeholder="入场价" step="any">
       <input type="number" class="trade-pct" placeholder="涨跌幅%" step="any">
       <span style="color:var(--text-dim);font-size:12px">%</span>
-      <button class="remove-btn" title="删除">×</button>
+      <input type="number" class="trade-sl" placeholder="止损" step="any">
+      ${rateInput}
+      ${extra}
     `;
   }
 
@@ -213,6 +684,13 @@ function createTradeRow(index) {
     renumberTrades();
   });
 
+  div.querySelector('.more-btn').addEventListener('click', () => {
+    div.classList.toggle('expanded');
+  });
+
+  div.querySelector('.trade-asset').addEventListener('change', () => updateRowRateField(div));
+  updateRowRateField(div);
+
   return div;
 }
 
@@ -223,34 +701,48 @@ function renumberTrades() {
   });
 }
 
+// 交易行字段（对应 .trade-<field> 输入框）
+const ROW_FIELDS = [
+  'dir', 'asset', 'entry', 'exit', 'pct', 'sl', 'rate',
+  'spread', 'nights', 'worst', 'fee', 'lev', 'time', 'closetime', 'qty', 'legs',
+];
+
+function readRowData(row) {
+  const data = {};
+  ROW_FIELDS.forEach(f => {
+    data[f] = row.querySelector(`.trade-${f}`)?.value || '';
+  });
+  data.dir = data.dir || 'long';
+  return data;
+}
+
+function fillRowData(row, data) {
+  ROW_FIELDS.forEach(f => {
+    const el = row.querySelector(`.trade-${f}`);
+    if (el && data[f] !== undefined) el.value = data[f];
+  });
+  updateRowRateField(row);
+}
+
 function rebuildTradeList() {
-  const list = $('#tradeList');
   const existing = [];
-  $$('.trade-row').forEach(row => {
-    const entry = row.querySelector('.trade-entry')?.value || '';
-    const exit = row.querySelector('.trade-exit')?.value || '';
-    const pct = row.querySelector('.trade-pct')?.value || '';
-    const dir = row.querySelector('.trade-dir')?.value || 'long';
-    existing.push({ entry, exit, pct, dir });
-  });
+  $$('.trade-row').forEach(row => existing.push(readRowData(row)));
+  renderTradeRows(existing);
+}
 
+function renderTradeRows(rows) {
+  const list = $('#tradeList');
   list.innerHTML = '';
-  if (existing.length === 0) {
+  if (rows.length === 0) {
     addDefaultTrades();
     return;
   }
 
-  existing.forEach((data, i) => {
+  rows.forEach((data, i) => {
     const row = createTradeRow(i);
     list.appendChild(row);
-    row.querySelector('.trade-dir').value = data.dir;
-    row.querySelector('.trade-entry').value = data.entry;
-    if (tradeMode === 'price' && row.querySelector('.trade-exit')) {
-      row.querySelector('.trade-exit').value = data.exit;
-    }
-    if (tradeMode === 'pct' && row.querySelector('.trade-pct')) {
-      row.querySelector('.trade-pct').value = data.pct;
-    }
+    fillRowData(row, data);
+    if (data.spread || data.nights || data.worst || data.legs) row.classList.add('expanded');
   });
 }
 
@@ -260,7 +752,8 @@ function addDefaultTrades() {
 }
 
 $('#tradeList').addEventListener('input', (e) => {
-  if (e.target.classList.contains('trade-entry') && e.target.closest('.trade-row')?.dataset.index === '0') {
+  const previewField = ['trade-entry', 'trade-sl', 'trade-rate'].some(c => e.target.classList.contains(c));
+  if (previewField && e.target.closest('.trade-row')?.dataset.index === '0') {
     updateLotsPreview();
   }
 });
@@ -275,27 +768,102 @@ $('#clearTrades').addEventListener('click', () => {
   $('#tradeList').innerHTML = '';
 });
 
+// 清除上一次的校验与交易提示
+function clearValidation() {
+  $$('.field-error, .row-issues').forEach(el => el.remove());
+  $$('.invalid').forEach(el => el.classList.remove('invalid'));
+  $$('.trade-row.has-warning').forEach(el => el.classList.remove('has-warning'));
+  $('#formErrors').innerHTML = '';
+}
+
+// 字段错误：输入框标红，提示显示在所在 .form-group 末尾
+function fieldError(input, message) {
+  input.classList.add('invalid');
+  (input.closest('.form-group') || input.parentElement)
+    .insertAdjacentHTML('beforeend', `<div class="field-error">${message}</div>`);
+}
+
+// 交易行提示：error 为输入错误，warning 为计算后的拒绝 / 负余额提示；fields 为需标红的 .trade-<field>
+function rowIssue(row, message, level = 'error', fields = []) {
+  row.classList.add(level === 'error' ? 'invalid' : 'has-warning');
+  fields.forEach(f => {
+    const input = row.querySelector(`.trade-${f}`);
+    if (!input) return;
+    input.classList.add('invalid');
+    if (input.closest('.trade-extra')) row.classList.add('expanded');
+  });
+  let box = row.querySelector('.row-issues');
+  if (!box) {
+    box = document.createElement('div');
+    box.className = 'row-issues';
+    row.appendChild(box);
+  }
+  box.insertAdjacentHTML('beforeend', `<div class="row-${level}">${message}</div>`);
+}
+
+// 读取交易行：rows[i] 为 trades[i] 所在的行；全空的行忽略，填写不完整的行记入 errors
 function gatherTrades() {
   const trades = [];
+  const rows = [];
+  const errors = [];
   $$('.trade-row').forEach(row => {
-    const entry = parseFloat(row.querySelector('.trade-entry')?.value);
-    if (isNaN(entry) || entry <= 0) return;
+    const value = (f) => row.querySelector(`.trade-${f}`)?.value.trim() || '';
+    const target = tradeMode === 'price' ? 'exit' : 'pct';
+    if (!value('entry') && !value(target)) return;
+
+    const entry = parseFloat(value('entry'));
+    if (!(entry > 0)) {
+      errors.push({ row, message: '入场价需为正数', fields: ['entry'] });
+      return;
+    }
     const direction = row.querySelector('.trade-dir')?.value || 'long';
+    const quoteRate = parseFloat(row.querySelector('.trade-rate')?.value) || 0;
+    const stopLoss = parseFloat(row.querySelector('.trade-sl')?.value) || 0;
+    const spreadValue = parseFloat(row.querySelector('.trade-spread')?.value);
+    const costs = {
+      spreadPoints: isNaN(spreadValue) ? undefined : spreadValue,
+      nights: parseFloat(row.querySelector('.trade-nights')?.value) || 0,
+      worstPrice: parseFloat(row.querySelector('.trade-worst')?.value) || 0,
+      fee: parseFloat(row.querySelector('.trade-fee')?.value) || 0,
+    };
+    const assetName = row.querySelector('.trade-asset')?.value || '';
+    const rowLeverage = parseFloat(row.querySelector('.trade-lev')?.value) || 0;
+    const legs = parseLegs(value('legs'));
+    if (!legs) {
+      errors.push({ row, message: '加减仓格式应为 +手数@价格 或 -百分比%@价格，以逗号分隔（减仓不超过 100%）', fields: ['legs'] });
+      return;
+    }
+    const meta = {
+      legs,
+      time: row.querySelector('.trade-time')?.value.trim() || '',
+      closeTime: row.querySelector('.trade-closetime')?.value.trim() || '',
+      quantity: parseFloat(row.querySelector('.trade-qty')?.value) || 0,
+      instrument: assetName || rowLeverage > 0
+        ? { ...(assetName ? getAssetSpec(assetName) : {}), ...(rowLeverage > 0 ? { leverage: rowLeverage } : {}) }
+        : null,
+    };
 
+    let exit;
     if (tradeMode === 'price') {
-      const exit = parseFloat(row.querySelector('.trade-exit')?.value);
-      if (isNaN(exit) || exit <= 0) return;
-      trades.push({ entry, exit, direction });
+      exit = parseFloat(value('exit'));
+      if (!(exit > 0)) {
+        errors.push({ row, message: '出场价需为正数', fields: ['exit'] });
+        return;
+      }
     } else {
-      const pct = parseFloat(row.querySelector('.trade-pct')?.value);
-      if (isNaN(pct)) return;
-      const exit = direction === 'long'
+      const pct = parseFloat(value('pct'));
+      exit = direction === 'long'
         ? entry * (1 + pct / 100)
         : entry * (1 - pct / 100);
-      trades.push({ entry, exit, direction });
+      if (!(exit > 0)) {
+        errors.push({ row, message: isNaN(pct) ? '请填写涨跌幅' : '涨跌幅使出场价不大于 0', fields: ['pct'] });
+        return;
+      }
     }
+    trades.push({ entry, exit, direction, quoteRate, stopLoss, ...costs, ...meta });
+    rows.push(row);
   });
-  return trades;
+  return { trades, rows, errors };
 }
 
 function formatNum(n, decimals = 2) {
@@ -313,11 +881,28 @@ function formatUSD(n) {
 //  Render Results
 // ═══════════════════════════════════════
 
+// 总结卡片与方案对比共用的指标，杠杆与回调空间只统计已建仓的交易
+function summaryMetrics(data) {
+  const results = data.results.filter(r => !r.rejected);
+  return {
+    finalBalance: data.finalBalance,
+    totalProfit: data.totalProfit,
+    totalReturn: data.totalReturn,
+    totalCosts: data.totalCosts,
+    liquidations: data.liquidations,
+    marginCalls: data.marginCalls,
+    avgLeverage: results.length ? results.reduce((s, r) => s + r.effectiveLeverage, 0) / results.length : 0,
+    minDDPct: results.length ? Math.min(...results.map(r => r.maxDDPct)) : 0,
+    maxDrawdownPct: maxDrawdown(performanceCurve(data)).maxDDPct,
+  };
+}
+
 function renderSummary(data) {
-  const { finalBalance, totalProfit, totalReturn, results } = data;
-  const lastTrade = results[results.length - 1];
-  const avgLeverage = results.reduce((s, r) => s + r.effectiveLeverage, 0) / results.length;
-  const minDD = Math.min(...results.map(r => r.maxDDPct));
+  const { finalBalance, totalProfit, totalReturn, totalCosts, results } = data;
+  const { liquidations, marginCalls, ruined, skippedTrades } = data;
+  const { avgLeverage, minDDPct: minDD } = summaryMetrics(data);
+  const sumOf = (key) => results.reduce((s, r) => s + r[key], 0);
+  const perp = results.some(r => 'funding' in r);
 
   const profitClass = totalProfit >= 0 ? 'card-green' : 'card-red';
 
@@ -325,12 +910,12 @@ function renderSummary(data) {
     <div class="card ${profitClass}">
       <div class="card-label">最终净值</div>
       <div class="card-value">${formatUSD(finalBalance)}</div>
-      <div class="card-sub">${totalReturn >= 0 ? '+' : ''}${formatNum(totalReturn)}%</div>
+      <div class="card-sub"${data.navCurve ? ' title="剔除存取款与提取的逐笔收益连乘"' : ''}>${data.navCurve ? '时间加权 ' : ''}${totalReturn >= 0 ? '+' : ''}${formatNum(totalReturn)}%</div>
     </div>
     <div class="card ${profitClass}">
       <div class="card-label">总盈亏</div>
       <div class="card-value">${totalProfit >= 0 ? '+' : ''}${formatUSD(totalProfit)}</div>
-      <div class="card-sub">${results.length} 笔交易</div>
+      <div class="card-sub">${results.length - data.rejectedTrades} 笔交易${data.rejectedTrades > 0 ? ` · ${data.rejectedTrades} 笔未建仓` : ''}</div>
     </div>
     <div class="card card-accent">
       <div class="card-label">平均实际杠杆</div>
@@ -341,106 +926,646 @@ function renderSummary(data) {
       <div class="card-value">${formatNum(minDD, 2)}%</div>
       <div class="card-sub">最危险的一笔</div>
     </div>
+    <div class="card ${totalCosts > 0 ? 'card-red' : 'card-green'}">
+      <div class="card-label">交易成本</div>
+      <div class="card-value">${formatUSD(totalCosts)}</div>
+      <div class="card-sub">点差 ${formatUSD(sumOf('spreadCost'))} · 佣金 ${formatUSD(sumOf('commission') + sumOf('fee'))} · ${perp
+        ? `资金费 ${formatUSD(sumOf('funding'))} · 强平费 ${formatUSD(sumOf('liquidationFee'))}`
+        : `隔夜 ${formatUSD(-sumOf('swap'))}`}</div>
+    </div>
+    <div class="card ${liquidations > 0 ? 'card-red' : marginCalls > 0 ? 'card-yellow' : 'card-green'}">
+      <div class="card-label">强平 / 追保</div>
+      <div class="card-value">${liquidations} / ${marginCalls}</div>
+      <div class="card-sub">${ruined ? `余额归零，剩余 ${skippedTrades} 笔未执行` : '强平次数 / 追保次数'}</div>
+    </div>
+    ${data.navCurve ? `
+    <div class="card card-accent">
+      <div class="card-label">累计提取</div>
+      <div class="card-value">${formatUSD(data.totalWithdrawn)}</div>
+      <div class="card-sub">存入 ${formatUSD(data.totalDeposited)} · 净值 + 提取 ${formatUSD(finalBalance + data.totalWithdrawn)}</div>
+    </div>` : ''}
+    ${data.concurrent ? `
+    <div class="card card-accent">
+      <div class="card-label">峰值保证金占用</div>
+      <div class="card-value">${formatUSD(data.peakMargin)}</div>
+      <div class="card-sub">最低保证金水平 ${Number.isFinite(data.minMarginLevel) ? formatNum(data.minMarginLevel, 1) + '%' : '-'}</div>
+    </div>` : ''}
   `;
 }
 
-function renderChart(data) {
-  const { balanceCurve } = data;
-  const labels = balanceCurve.map((_, i) => i === 0 ? '初始' : `第${i}笔`);
+const ISSUE_LABELS = { noEdge: '拒绝', minLot: '拒绝', margin: '拒绝', maxLot: '超最大手数', leg: '加减仓', negativeBalance: '负余额' };
 
-  if (growthChart) growthChart.destroy();
+// 拒绝建仓、超最大手数与负余额提示：结果面板列出全部，并标在对应的交易行上
+function renderTradeIssues(data, rows = []) {
+  const issues = tradeIssues(data.results);
+  issues.forEach(it => {
+    if (rows[it.trade - 1]) rowIssue(rows[it.trade - 1], `${it.level === 'error' ? '拒绝' : '警告'}：${it.message}`, 'warning');
+  });
 
-  const ctx = $('#growthChart').getContext('2d');
-  const gradient = ctx.createLinearGradient(0, 0, 0, 280);
-  gradient.addColorStop(0, 'rgba(79,140,255,.3)');
-  gradient.addColorStop(1, 'rgba(79,140,255,.02)');
+  $('#tradeIssues').innerHTML = issues.length === 0 ? '' : `
+    <div class="issue-list">
+      <h3>交易提示（${issues.length}）</h3>
+      <ul>
+        ${issues.map(it => `<li>
+          <span class="badge ${it.code === 'negativeBalance' ? 'badge-red' : 'badge-yellow'}">${ISSUE_LABELS[it.code] || '警告'}</span>
+          第 ${it.trade} 笔：${it.message}
+        </li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
 
-  growthChart = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels,
-      datasets: [{
-        label: '账户净值',
-        data: balanceCurve,
-        borderColor: '#4f8cff',
-        backgroundColor: gradient,
-        fill: true,
-        tension: 0.3,
-        pointRadius: 5,
-        pointBackgroundColor: '#4f8cff',
-        pointBorderColor: '#1a1d27',
-        pointBorderWidth: 2,
-      }]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: { display: false },
-        tooltip: {
-          callbacks: {
-            label: (ctx) => '净值: $' + formatNum(ctx.parsed.y)
-          }
-        }
-      },
-      scales: {
-        x: {
-          grid: { color: 'rgba(255,255,255,.05)' },
-          ticks: { color: '#8b8fa3' }
-        },
-        y: {
-          grid: { color: 'rgba(255,255,255,.05)' },
-          ticks: {
-            color: '#8b8fa3',
-            callback: (v) => '$' + formatNum(v)
-          }
-        }
-      }
-    }
+// 蒙特卡洛分位带：5–95 与 25–75 两层填充 + 中位数
+function monteCarloDatasets(mc) {
+  const band = (label, data, fill, color) => ({
+    label, data, fill, borderWidth: 0, pointRadius: 0, tension: 0.3, backgroundColor: color,
   });
+  return [
+    band('P95', mc.bands.p95, false, 'transparent'),
+    band('P5–P95', mc.bands.p5, '-1', 'rgba(167,139,250,.12)'),
+    band('P75', mc.bands.p75, false, 'transparent'),
+    band('P25–P75', mc.bands.p25, '-1', 'rgba(167,139,250,.25)'),
+    {
+      label: '中位数',
+      data: mc.bands.p50,
+      borderColor: '#a78bfa',
+      borderDash: [6, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.3,
+      fill: false,
+    },
+  ];
 }
 
-function renderTable(data) {
-  const { results } = data;
+function renderStats(data) {
+  const st = calcStatistics(data.results, performanceCurve(data));
+  const ratio = (v, d = 2) => v === Infinity ? '∞' : formatNum(v, d);
+  const items = [
+    ['胜率', `${formatNum(st.winRate, 1)}%`, `${st.wins} 胜 / ${st.losses} 负`],
+    ['盈利因子', ratio(st.profitFactor), `${formatUSD(st.grossWin)} / ${formatUSD(st.grossLoss)}`],
+    ['平均盈利 / 亏损', `${formatUSD(st.avgWin)} / ${formatUSD(st.avgLoss)}`, `盈亏比 ${ratio(st.payoffRatio)}`],
+    ['期望值', `${st.expectancy >= 0 ? '+' : ''}${formatUSD(st.expectancy)}`, `每笔 ${formatNum(st.expectancyPct)}%`],
+    ['最长连胜 / 连亏', `${st.winStreak} / ${st.lossStreak}`, '笔'],
+    ['最大回撤', formatUSD(st.maxDrawdown), `${formatNum(st.maxDrawdownPct)}%`],
+    ['恢复因子', ratio(st.recoveryFactor), '净利润 / 最大回撤'],
+    ['Sharpe / Sortino', `${ratio(st.sharpe)} / ${ratio(st.sortino)}`, '逐笔计算'],
+    ['Kelly 仓位', `${formatNum(st.kelly, 1)}%`, st.kelly > 0 ? '建议风险占比上限' : '期望为负'],
+  ];
+
+  $('#statsPanel').innerHTML = `
+    <h3>绩效统计</h3>
+    <div class="stats-grid">
+      ${items.map(([label, value, sub]) => `
+        <div class="stat-item">
+          <div class="stat-label">${label}</div>
+          <div class="stat-value">${value}</div>
+          <div class="stat-sub">${sub}</div>
+        </div>`).join('')}
+    </div>
+  `;
+}
 
-  let html = `<table class="result-table">
-    <thead><tr>
-      <th>#</th>
-      <th>方向</th>
-      <th>入场→出场</th>
-      <th>交易前余额</th>
-      <th>手数</th>
-      <th>保证金</th>
-      <th>合约价值</th>
-      <th>实际杠杆</th>
-      <th>盈亏</th>
+function renderSymbolBreakdown(data) {
+  const groups = groupBySymbol(data.results);
+  if (groups.length < 2) {
+    $('#symbolBreakdown').innerHTML = '';
+    return;
+  }
+
+  $('#symbolBreakdown').innerHTML = `
+    <div class="mc-result">
+      <h3>按品种盈亏</h3>
+      <table class="result-table">
+        <thead><tr><th>品种</th><th>笔数</th><th>胜率</th><th>毛盈亏</th><th>成本</th><th>净盈亏</th></tr></thead>
+        <tbody>
+          ${groups.map(g => `<tr>
+            <td>${xmlEscape(g.symbol)}</td>
+            <td>${g.trades}</td>
+            <td>${formatNum(g.winRate, 1)}%</td>
+            <td>${g.grossProfit >= 0 ? '+' : ''}${formatUSD(g.grossProfit)}</td>
+            <td>${formatUSD(g.totalCost)}</td>
+            <td class="${g.profit >= 0 ? 'profit-positive' : 'profit-negative'}">${g.profit >= 0 ? '+' : ''}${formatUSD(g.profit)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderSizingComparison(data, ruleData) {
+  if (!ruleData) {
+    $('#sizingCompare').innerHTML = '';
+    return;
+  }
+
+  const summarize = (d) => {
+    const levs = d.results.filter(r => !r.rejected).map(r => r.effectiveLeverage);
+    return {
+      finalBalance: d.finalBalance,
+      totalReturn: d.totalReturn,
+      maxDrawdownPct: maxDrawdown(performanceCurve(d)).maxDDPct,
+      // 全部交易被拒绝时没有杠杆可统计，显示为 -
+      avgLeverage: levs.length ? levs.reduce((s, v) => s + v, 0) / levs.length : null,
+      maxLeverage: levs.length ? Math.max(...levs) : null,
+      liquidations: d.liquidations,
+    };
+  };
+  const traded = summarize(data);
+  const rule = summarize(ruleData);
+  const rows = [
+    ['最终净值', 'finalBalance', formatUSD],
+    ['总收益率', 'totalReturn', v => formatNum(v) + '%'],
+    ['最大回撤', 'maxDrawdownPct', v => formatNum(v) + '%'],
+    ['平均实际杠杆', 'avgLeverage', v => formatNum(v, 1) + 'x'],
+    ['最高实际杠杆', 'maxLeverage', v => formatNum(v, 1) + 'x'],
+    ['强平次数', 'liquidations', v => String(v)],
+  ];
+  const ruleName = SIZING_MODES[$('#sizingMode').value];
+
+  $('#sizingCompare').innerHTML = `
+    <div class="mc-result">
+      <h3>实际成交 vs 当前规则（${ruleName}）</h3>
+      <table class="result-table">
+        <thead><tr><th>指标</th><th>实际成交</th><th>当前规则</th><th>差值</th></tr></thead>
+        <tbody>
+          ${rows.map(([label, key, fmt]) => {
+            const cell = (v) => v === null ? '-' : fmt(v);
+            const diff = traded[key] === null || rule[key] === null ? null : traded[key] - rule[key];
+            return `<tr><td>${label}</td><td>${cell(traded[key])}</td><td>${cell(rule[key])}</td>
+              <td>${diff === null ? '-' : (diff >= 0 ? '+' : '') + fmt(diff)}</td></tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// 仓位策略对比：同一交易序列按各策略重跑，差值相对当前设置
+function renderStrategyComparison(params, trades) {
+  const rows = compareSizing(params, trades);
+  const current = rows[0];
+  const pct = (v) => formatNum(v) + '%';
+  const delta = (v, base, fmt, better) => {
+    const diff = v - base;
+    const cls = diff === 0 ? '' : (diff * better > 0 ? 'profit-positive' : 'profit-negative');
+    return `<div class="compare-delta ${cls}">${diff >= 0 ? '+' : '-'}${fmt(Math.abs(diff))}</div>`;
+  };
+
+  $('#strategyCompare').innerHTML = `
+    <div class="mc-result">
+      <h3>仓位策略对比（同一交易序列，差值相对当前设置）</h3>
+      <table class="result-table">
+        <thead><tr><th>策略</th><th>最终净值</th><th>总收益率</th><th>最大回撤</th><th>强平</th><th>拒绝</th></tr></thead>
+        <tbody>
+          ${rows.map((r, i) => `<tr>
+            <td>${r.label}${i === 0 ? ` <span class="badge badge-blue">${SIZING_MODES[r.sizingMode]}</span>` : ''}${r.dangerous ? ' <span class="badge badge-red" title="连败时仓位按倍数指数增长">危险</span>' : ''}${r.ruined ? ' <span class="badge badge-red">归零</span>' : ''}</td>
+            <td>${formatUSD(r.finalBalance)}${i > 0 ? delta(r.finalBalance, current.finalBalance, formatUSD, 1) : ''}</td>
+            <td>${pct(r.totalReturn)}</td>
+            <td>${pct(r.maxDrawdownPct)}${i > 0 ? delta(r.maxDrawdownPct, current.maxDrawdownPct, pct, -1) : ''}</td>
+            <td>${r.liquidations}</td>
+            <td>${r.rejectedTrades}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <p class="hint">除当前设置外均不含回撤降仓与实际成交数量；未填写的固定手数 / 固定保证金取首笔按持仓比例计算的值，回撤降仓未开启时按回撤 20% 后仓位减半</p>
+    </div>
+  `;
+}
+
+// 方案对比：指标表，差值相对第一个固定方案（基准）
+function renderComparison(data) {
+  if (pinnedRuns.length === 0) {
+    $('#scenarioCompare').innerHTML = '';
+    return;
+  }
+
+  const pct = (v) => formatNum(v) + '%';
+  // [标题, 指标, 格式化, 越大越好为 1 / 越小越好为 -1 / 中性为 0]
+  const cols = [
+    ['最终净值', 'finalBalance', formatUSD, 1],
+    ['总收益率', 'totalReturn', pct, 1],
+    ['平均实际杠杆', 'avgLeverage', v => formatNum(v, 1) + 'x', 0],
+    ['最小可回调', 'minDDPct', pct, 1],
+    ['最大回撤', 'maxDrawdownPct', pct, -1],
+    ['交易成本', 'totalCosts', formatUSD, -1],
+    ['强平', 'liquidations', v => String(v), -1],
+    ['追保', 'marginCalls', v => String(v), -1],
+  ];
+  const base = summaryMetrics(pinnedRuns[0].data);
+  const rows = [
+    ...pinnedRuns.map((p, i) => ({ label: p.label, color: COMPARE_COLORS[i], data: p.data, index: i })),
+    { label: '当前', color: '#4f8cff', data, index: null },
+  ];
+
+  const cell = (m, [, key, fmt, better], isBase) => {
+    if (isBase) return `<td>${fmt(m[key])}</td>`;
+    const diff = m[key] - base[key];
+    const cls = diff === 0 || better === 0 ? '' : (diff * better > 0 ? 'profit-positive' : 'profit-negative');
+    return `<td>${fmt(m[key])}<div class="compare-delta ${cls}">${diff >= 0 ? '+' : '-'}${fmt(Math.abs(diff))}</div></td>`;
+  };
+
+  $('#scenarioCompare').innerHTML = `
+    <div class="mc-result">
+      <h3>方案对比（差值相对基准：${xmlEscape(pinnedRuns[0].label)}）</h3>
+      <table class="result-table">
+        <thead><tr><th>方案</th>${cols.map(c => `<th>${c[0]}</th>`).join('')}<th></th></tr></thead>
+        <tbody>
+          ${rows.map(r => {
+            const m = summaryMetrics(r.data);
+            return `<tr>
+              <td><span class="compare-swatch" style="background:${r.color}"></span>${xmlEscape(r.label)}${r.index === 0 ? ' <span class="badge badge-yellow">基准</span>' : ''}</td>
+              ${cols.map(c => cell(m, c, r.index === 0)).join('')}
+              <td>${r.index === null ? '' : `<button class="remove-btn compare-remove" data-index="${r.index}" title="移除">×</button>`}</td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function describeParams(params) {
+  return `${params.symbol} · ${params.leverage}x · ${describeSizing(params)}${params.compounding ? '' : ' · 非复利'}`;
+}
+
+function pinCurrentResult() {
+  if (!lastRun) {
+    alert('请先计算');
+    return;
+  }
+  if (pinnedRuns.length >= COMPARE_COLORS.length) {
+    alert(`最多固定 ${COMPARE_COLORS.length} 个对比方案`);
+    return;
+  }
+  const name = $('#scenarioName').value.trim() || describeParams(lastRun.params);
+  const dup = pinnedRuns.filter(p => p.label === name || p.label.startsWith(name + ' #')).length;
+  pinnedRuns.push({ label: dup > 0 ? `${name} #${dup + 1}` : name, data: lastRun.data });
+  renderChart(lastRun.data, lastRun.mc);
+  renderComparison(lastRun.data);
+}
+
+$('#pinResult').addEventListener('click', pinCurrentResult);
+
+$('#clearPinned').addEventListener('click', () => {
+  pinnedRuns = [];
+  if (!lastRun) return;
+  renderChart(lastRun.data, lastRun.mc);
+  renderComparison(lastRun.data);
+});
+
+$('#scenarioCompare').addEventListener('click', (e) => {
+  const btn = e.target.closest('.compare-remove');
+  if (!btn) return;
+  pinnedRuns.splice(Number(btn.dataset.index), 1);
+  renderChart(lastRun.data, lastRun.mc);
+  renderComparison(lastRun.data);
+});
+
+function renderChart(data, mc = null) {
+  if (chartView !== 'balance') {
+    renderAnalysisChart(data);
+    return;
+  }
+  const { balanceCurve, withdrawnCurve } = data;
+  const comparing = pinnedRuns.length > 0;
+  const legend = !!mc || comparing || !!withdrawnCurve;
+  const steps = Math.max(
+    mc ? mc.bands.p50.length : 0,
+    balanceCurve.length,
+    ...pinnedRuns.map(p => p.data.balanceCurve.length),
+  );
+  const labels = Array.from({ length: steps }, (_, i) => i === 0 ? '初始' : `第${i}笔`);
+
+  if (growthChart) growthChart.destroy();
+
+  const ctx = $('#growthChart').getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 0, 280);
+  gradient.addColorStop(0, 'rgba(79,140,255,.3)');
+  gradient.addColorStop(1, 'rgba(79,140,255,.02)');
+
+  growthChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [{
+        label: comparing ? '当前' : '账户净值',
+        data: balanceCurve,
+        borderColor: '#4f8cff',
+        backgroundColor: gradient,
+        fill: true,
+        tension: 0.3,
+        pointRadius: 5,
+        pointBackgroundColor: '#4f8cff',
+        pointBorderColor: '#1a1d27',
+        pointBorderWidth: 2,
+      }, ...(withdrawnCurve ? [{
+        label: '累计提取',
+        data: withdrawnCurve,
+        borderColor: '#22c55e',
+        borderDash: [4, 4],
+        borderWidth: 2,
+        pointRadius: 0,
+        stepped: true,
+        fill: false,
+      }] : []), ...(mc ? monteCarloDatasets(mc) : []), ...pinnedRuns.map((p, i) => ({
+        label: p.label,
+        data: p.data.balanceCurve,
+        borderColor: COMPARE_COLORS[i],
+        borderWidth: 2,
+        pointRadius: 2,
+        pointBackgroundColor: COMPARE_COLORS[i],
+        tension: 0.3,
+        fill: false,
+      }))]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      // 第 i 个点为第 i 笔平仓后的净值，第 0 点为初始本金
+      onHover: (e, elements) => highlightTradeRows(
+        elements.filter(el => el.datasetIndex === 0 && el.index > 0).map(el => el.index - 1),
+      ),
+      plugins: {
+        legend: {
+          display: legend,
+          labels: { color: '#8b8fa3', filter: (item) => !['P95', 'P75'].includes(item.text) },
+        },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${legend ? ctx.dataset.label : '净值'}: $` + formatNum(ctx.parsed.y)
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { color: 'rgba(255,255,255,.05)' },
+          ticks: { color: '#8b8fa3' }
+        },
+        y: {
+          grid: { color: 'rgba(255,255,255,.05)' },
+          ticks: {
+            color: '#8b8fa3',
+            callback: (v) => '$' + formatNum(v)
+          }
+        }
+      }
+    }
+  });
+}
+
+// 图表悬停时高亮逐笔明细中的行，indices 为 results 下标
+function highlightTradeRows(indices) {
+  $$('#tradeTable tr.row-highlight').forEach(tr => tr.classList.remove('row-highlight'));
+  indices.forEach(i => $(`#tradeTable tr[data-result="${i}"]`)?.classList.add('row-highlight'));
+}
+
+const DIRECTION_COLORS = { long: '#4f8cff', short: '#f5a524' };
+const CHART_AXIS = { grid: { color: 'rgba(255,255,255,.05)' }, ticks: { color: '#8b8fa3' } };
+
+// 回撤 / 逐笔盈亏 / 收益分布 / 杠杆与盈亏散点，只含当前结果；未建仓的交易不画柱和点
+function analysisChartConfig(data, view) {
+  const trades = data.results.map((r, i) => ({ r, i })).filter(t => !t.r.rejected);
+  const tradeLabel = (t) => `#${(t.r.tradeIndex ?? t.i) + 1}`;
+  const byDirection = (dir) => dir === 'long' ? '做多' : '做空';
+
+  if (view === 'underwater') {
+    return {
+      type: 'line',
+      data: {
+        labels: data.balanceCurve.map((_, i) => i === 0 ? '初始' : `第${i}笔`),
+        datasets: [{
+          label: '回撤',
+          data: drawdownCurve(performanceCurve(data)),
+          borderColor: '#ef4444',
+          backgroundColor: 'rgba(239,68,68,.2)',
+          fill: 'origin',
+          tension: 0.2,
+          pointRadius: 3,
+        }],
+      },
+      hovered: (el) => el.index > 0 ? [el.index - 1] : [],
+      tooltip: (ctx) => `回撤: ${formatNum(ctx.parsed.y)}%`,
+      y: (v) => v + '%',
+    };
+  }
+
+  if (view === 'pnl') {
+    return {
+      type: 'bar',
+      data: {
+        labels: trades.map(tradeLabel),
+        datasets: ['long', 'short'].map(dir => ({
+          label: byDirection(dir),
+          data: trades.map(t => t.r.direction === dir ? t.r.profit : null),
+          backgroundColor: DIRECTION_COLORS[dir],
+          grouped: false,
+        })),
+      },
+      hovered: (el) => [trades[el.index].i],
+      tooltip: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y >= 0 ? '+' : ''}${formatUSD(ctx.parsed.y)}`,
+      y: (v) => '$' + formatNum(v),
+    };
+  }
+
+  if (view === 'histogram') {
+    const binCount = Math.min(20, Math.max(1, Math.ceil(Math.sqrt(trades.length))));
+    const bins = histogramBins(trades.map(t => t.r.profitPct), binCount);
+    return {
+      type: 'bar',
+      data: {
+        labels: bins.map(b => `${formatNum(b.from)}% ~ ${formatNum(b.to)}%`),
+        datasets: [{
+          label: '交易笔数',
+          data: bins.map(b => b.count),
+          backgroundColor: bins.map(b => b.from + b.to >= 0 ? 'rgba(34,197,94,.7)' : 'rgba(239,68,68,.7)'),
+          barPercentage: 1,
+          categoryPercentage: 0.95,
+        }],
+      },
+      hovered: (el) => bins[el.index].indices.map(k => trades[k].i),
+      tooltip: (ctx) => `${ctx.parsed.y} 笔`,
+      y: (v) => Number.isInteger(v) ? v : '',
+    };
+  }
+
+  return {
+    type: 'scatter',
+    data: {
+      datasets: ['long', 'short'].map(dir => ({
+        label: byDirection(dir),
+        data: trades.filter(t => t.r.direction === dir)
+          .map(t => ({ x: t.r.effectiveLeverage, y: t.r.profit, i: t.i, label: tradeLabel(t) })),
+        backgroundColor: DIRECTION_COLORS[dir],
+        pointRadius: 5,
+      })),
+    },
+    hovered: (el, chart) => [chart.data.datasets[el.datasetIndex].data[el.index].i],
+    tooltip: (ctx) => `${ctx.raw.label} ${ctx.dataset.label}: 杠杆 ${formatNum(ctx.parsed.x)}x，盈亏 ${formatUSD(ctx.parsed.y)}`,
+    x: (v) => v + 'x',
+    y: (v) => '$' + formatNum(v),
+  };
+}
+
+function renderAnalysisChart(data) {
+  const config = analysisChartConfig(data, chartView);
+  if (analysisChart) analysisChart.destroy();
+
+  analysisChart = new Chart($('#analysisChart').getContext('2d'), {
+    type: config.type,
+    data: config.data,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      onHover: (e, elements, chart) => highlightTradeRows(elements.flatMap(el => config.hovered(el, chart))),
+      plugins: {
+        legend: { display: config.data.datasets.length > 1, labels: { color: '#8b8fa3' } },
+        tooltip: { callbacks: { label: config.tooltip } },
+      },
+      scales: {
+        x: { ...CHART_AXIS, ...(config.x && { ticks: { ...CHART_AXIS.ticks, callback: config.x } }) },
+        y: { ...CHART_AXIS, ticks: { ...CHART_AXIS.ticks, callback: config.y } },
+      },
+    },
+  });
+}
+
+function showChartView(view) {
+  chartView = view;
+  $$('.chart-tab').forEach(t => t.classList.toggle('active', t.dataset.chart === view));
+  $('#growthChart').style.display = view === 'balance' ? '' : 'none';
+  $('#analysisChart').style.display = view === 'balance' ? 'none' : '';
+  if (lastRun) renderChart(lastRun.data, lastRun.mc);
+}
+
+$$('.chart-tab').forEach(tab => tab.addEventListener('click', () => showChartView(tab.dataset.chart)));
+
+// 加减仓明细：每一步的成交、持仓均价、保证金与之后的爆仓价
+function legSteps(r) {
+  const label = { add: '加仓', close: '减仓', exit: '平仓' };
+  const steps = [`开仓 ${r.entryLots} 手 @ ${r.entry.toFixed(2)}`, ...r.legs.map(leg => {
+    const lots = leg.lots || leg.requiredLots;
+    const head = `${leg.liquidated ? '强平' : label[leg.type]}${lots > 0 ? ` ${+lots.toFixed(4)} 手` : ''} @ ${leg.price.toFixed(2)}`;
+    if (leg.rejected) return `<span class="leg-rejected">${head}（未执行）</span>`;
+    const realized = leg.type === 'add' ? ''
+      : ` <span class="${leg.realized >= 0 ? 'profit-positive' : 'profit-negative'}">${leg.realized >= 0 ? '+' : ''}${formatUSD(leg.realized)}</span>`;
+    const position = leg.positionLots > 0
+      ? `，持仓 ${+leg.positionLots.toFixed(4)} 手 · 均价 ${leg.avgEntry.toFixed(2)} · 保证金 ${formatUSD(leg.margin)} · 爆仓价 ${leg.liquidationPrice.toFixed(2)}`
+      : '';
+    return head + realized + position;
+  })];
+  return steps.join('<span class="leg-sep">→</span>');
+}
+
+const CASH_FLOW_LABELS = { deposit: '存入', withdraw: '取出', sweep: '定期提取' };
+
+// 第 count 笔之后（0 为首笔之前）的存取款与定期提取，插在对应交易行之后
+function cashFlowRows(data, count, columnCount) {
+  return (data.cashFlows || []).filter(e => e.after === count).map(e => `<tr class="cash-row">
+    <td></td>
+    <td colspan="${columnCount - 2}">${CASH_FLOW_LABELS[e.type]} <span class="${e.amount >= 0 ? 'profit-positive' : 'profit-negative'}">${e.amount >= 0 ? '+' : ''}${formatUSD(e.amount)}</span></td>
+    <td style="font-weight:600">${formatUSD(e.balanceAfter)}</td>
+  </tr>`).join('');
+}
+
+function renderTable(data, ruleData = null) {
+  const { results } = data;
+  const showRate = results.some(r => r.quoteCurrency !== ACCOUNT_CURRENCY);
+  const showSymbol = new Set(results.map(r => r.symbol)).size > 1;
+  const showStop = results.some(r => r.stopLoss !== null);
+  const showCosts = results.some(r => r.totalCost !== 0);
+  // 并发模式下结果按平仓顺序排列，规则对比按交易序号对齐
+  const ruleByTrade = ruleData ? new Map(ruleData.results.map((r, i) => [r.tradeIndex ?? i, r])) : null;
+
+  const head = `<thead><tr>
+      <th>#</th>
+      ${showSymbol ? '<th>品种</th>' : ''}
+      <th>方向</th>
+      ${data.concurrent ? '<th>开仓 → 平仓时间</th>' : ''}
+      <th>入场→出场</th>
+      ${showRate ? '<th>汇率</th>' : ''}
+      <th>${data.concurrent ? '开仓时净值' : '交易前余额'}</th>
+      <th>手数</th>
+      <th>保证金</th>
+      <th>合约价值</th>
+      <th>实际杠杆</th>
+      ${showCosts ? '<th>毛盈亏</th><th>成本</th>' : ''}
+      <th>${showCosts ? '净盈亏' : '盈亏'}</th>
       <th>盈亏%</th>
+      ${ruleData ? '<th>规则手数</th><th>规则盈亏</th>' : ''}
       <th>可回调$</th>
       <th>可回调%</th>
       <th>爆仓价</th>
+      ${showStop ? '<th>止损价</th><th>计划风险</th><th>R倍数</th>' : ''}
       <th>交易后余额</th>
-    </tr></thead><tbody>`;
+    </tr></thead>`;
+  const columnCount = head.match(/<th>/g).length;
+  let html = `<table class="result-table">${head}<tbody>${cashFlowRows(data, 0, columnCount)}`;
 
   results.forEach((r, i) => {
+    // 被拒绝的交易：只列方向与计划价格，其余列合并显示原因
+    if (r.rejected) {
+      const issue = tradeIssues([r]).find(it => it.level === 'error');
+      const fixed = 4 + (showSymbol ? 1 : 0) + (data.concurrent ? 1 : 0);
+      html += `<tr class="row-rejected" data-result="${i}">
+        <td>${(r.tradeIndex ?? i) + 1}</td>
+        ${showSymbol ? `<td>${xmlEscape(r.symbol)}</td>` : ''}
+        <td>${r.direction === 'long' ? '多' : '空'}</td>
+        ${data.concurrent ? `<td>${formatTime(r.openTime)} → ${formatTime(r.closeTime)}</td>` : ''}
+        <td>${r.entry.toFixed(2)} → ${r.plannedExit.toFixed(2)} <span class="badge badge-yellow">拒绝</span></td>
+        <td colspan="${columnCount - fixed}">${issue.message}</td>
+        <td style="font-weight:600">${formatUSD(r.balanceAfter)}</td>
+      </tr>${cashFlowRows(data, i + 1, columnCount)}`;
+      return;
+    }
+
     const profitClass = r.profit >= 0 ? 'profit-positive' : 'profit-negative';
+    const badge = r.liquidated
+      ? ` <span class="badge badge-red" title="计划出场 ${r.plannedExit.toFixed(2)}">强平</span>`
+      : r.marginCalled ? ' <span class="badge badge-yellow">追保</span>' : '';
+    const legBadge = r.legs ? ` <span class="badge badge-blue" title="均价 ${r.avgEntry.toFixed(2)}；手数、保证金与合约价值为持仓峰值">${r.legs.filter(l => l.type !== 'exit' && !l.rejected).length} 次加减仓</span>` : '';
     const dirLabel = r.direction === 'long' ? '多' : '空';
     const dirClass = r.direction === 'long' ? 'profit-positive' : 'profit-negative';
-    html += `<tr>
-      <td>${i + 1}</td>
+    const profitTitle = showRate ? ` title="${formatNum(r.profitQuote)} ${r.quoteCurrency}"` : '';
+    const rule = ruleByTrade?.get(r.tradeIndex ?? i);
+    const ruleCells = !ruleData ? '' : rule
+      ? `<td>${rule.lots.toFixed(2)}</td><td class="${rule.profit >= 0 ? 'profit-positive' : 'profit-negative'}">${rule.profit >= 0 ? '+' : ''}${formatUSD(rule.profit)}</td>`
+      : '<td>-</td><td>-</td>';
+    const lotsTitle = r.sizing === 'traded' ? '实际成交数量'
+      : r.kellyPct !== undefined ? `凯利：名义价值为余额的 ${r.kellyPct.toFixed(0)}%`
+        : r.sizingFactor ? `${SIZING_MODES[r.sizing]}：仓位 ×${+r.sizingFactor.toFixed(3)}` : '';
+    const stopCells = r.stopLoss === null
+      ? '<td>-</td><td>-</td><td>-</td>'
+      : `<td class="${r.stopBeyondLiquidation ? 'profit-negative' : ''}"${r.stopBeyondLiquidation ? ' title="止损价在爆仓价之外，止损触发前已爆仓"' : ''}>${r.stopLoss.toFixed(2)}${r.stopBeyondLiquidation ? ' ⚠' : ''}</td>
+      <td>${formatUSD(r.plannedRisk)} (${r.plannedRiskPct.toFixed(2)}%)</td>
+      <td class="${r.rMultiple >= 0 ? 'profit-positive' : 'profit-negative'}">${r.rMultiple >= 0 ? '+' : ''}${r.rMultiple.toFixed(2)}R</td>`;
+    html += `<tr data-result="${i}"${r.liquidated ? ' class="row-liquidated"' : ''}>
+      <td>${(r.tradeIndex ?? i) + 1}</td>
+      ${showSymbol ? `<td>${xmlEscape(r.symbol)}</td>` : ''}
       <td class="${dirClass}" style="font-weight:600">${dirLabel}</td>
-      <td>${r.entry.toFixed(2)} → ${r.exit.toFixed(2)}</td>
+      ${data.concurrent ? `<td>${formatTime(r.openTime)} → ${formatTime(r.closeTime)}</td>` : ''}
+      <td>${r.entry.toFixed(2)} → ${r.exit.toFixed(2)}${legBadge}${badge}</td>
+      ${showRate ? `<td>${r.exitRate.toPrecision(5)}</td>` : ''}
       <td>${formatUSD(r.balanceBefore)}</td>
-      <td>${r.lots.toFixed(2)}</td>
+      <td${lotsTitle ? ` title="${lotsTitle}"` : ''}>${r.lots.toFixed(r.lots < 0.01 && r.lots > 0 ? 4 : 2)}</td>
       <td>${formatUSD(r.margin)}</td>
       <td>${formatUSD(r.contractValue)}</td>
       <td>${r.effectiveLeverage.toFixed(2)}x</td>
-      <td class="${profitClass}">${r.profit >= 0 ? '+' : ''}${formatUSD(r.profit)}</td>
+      ${showCosts ? `<td class="${r.grossProfit >= 0 ? 'profit-positive' : 'profit-negative'}"${profitTitle}>${r.grossProfit >= 0 ? '+' : ''}${formatUSD(r.grossProfit)}</td>
+      <td title="点差 ${formatUSD(r.spreadCost)} · 佣金 ${formatUSD(r.commission)} · 手续费 ${formatUSD(r.fee)} · 隔夜 ${formatUSD(-r.swap)}${'funding' in r
+        ? ` · 资金费 ${formatUSD(r.funding)}（${r.fundingIntervals} 次）${r.liquidationFee ? ` · 强平费 ${formatUSD(r.liquidationFee)}` : ''}` : ''}">${formatUSD(r.totalCost)}</td>` : ''}
+      <td class="${profitClass}"${showCosts ? '' : profitTitle}>${r.profit >= 0 ? '+' : ''}${formatUSD(r.profit)}</td>
       <td class="${profitClass}">${r.profitPct >= 0 ? '+' : ''}${r.profitPct.toFixed(2)}%</td>
-      <td>$${r.maxDDPrice.toFixed(2)}</td>
+      ${ruleCells}
+      ${Number.isFinite(r.liquidationPrice) ? `<td>$${r.maxDDPrice.toFixed(2)}</td>
       <td>${r.maxDDPct.toFixed(2)}%</td>
-      <td>${r.liquidationPrice.toFixed(2)}</td>
-      <td style="font-weight:600">${formatUSD(r.balanceAfter)}</td>
+      <td${'maintenanceRate' in r ? ` title="维持保证金率 ${r.maintenanceRate}%（${MARGIN_MODES[r.marginMode]}）"` : ''}>${r.liquidationPrice.toFixed(2)}</td>`
+    : '<td>-</td><td>-</td><td title="保证金足以覆盖全部不利变动">不会强平</td>'}
+      ${showStop ? stopCells : ''}
+      <td style="font-weight:600"${r.balanceAfter < 0 ? ' class="profit-negative" title="负余额保护：按 0 计"' : ''}>${formatUSD(r.balanceAfter)}${r.balanceAfter < 0 ? ' ⚠' : ''}</td>
     </tr>`;
+    if (r.legs) html += `<tr class="leg-row"><td></td><td colspan="${columnCount - 1}">${legSteps(r)}</td></tr>`;
+    html += cashFlowRows(data, i + 1, columnCount);
   });
 
   html += '</tbody></table>';
@@ -451,41 +1576,449 @@ function renderTable(data) {
 //  Main Calculate
 // ═══════════════════════════════════════
 
-function calculate() {
+// 读取并校验表单：错误标在对应字段与交易行上，有错误时返回 null
+function readInputs() {
+  clearValidation();
   const assetOpt = $('#assetSelect').selectedOptions[0];
   const contractSize = assetOpt.value === 'custom'
-    ? (parseFloat($('#contractSize').value) || 1)
+    ? parseFloat($('#contractSize').value)
     : (parseFloat(assetOpt.value) || 1);
 
   const params = {
-    principal: parseFloat($('#principal').value) || 0,
-    leverage: parseFloat($('#leverage').value) || 1,
+    principal: parseFloat($('#principal').value),
+    leverage: parseFloat($('#leverage').value),
+    symbol: assetOpt.dataset.name,
     contractSize,
     lotStep: parseFloat($('#lotStep').value) || 0.01,
     marginRatio: parseFloat($('#marginRatio').value) || 10,
     direction: 'long',
     compounding: $('#compounding').checked,
+    concurrent: $('#concurrent').checked,
+    ...getSizingParams(),
+    useTradedQuantity: $('#asTraded').checked,
+    quantityUnit: $('#qtyUnit').value,
+    ...getCurrencyParams(),
+    ...getCostParams(),
+    ...getMarginLevelParams(),
+    ...getPerpParams(),
+    ...getCashFlowParams(),
+    ...getAssetLimits(),
   };
 
-  if (params.principal <= 0) {
-    alert('请输入有效的初始本金');
-    return;
+  const general = [];
+  let invalid = 0;
+  const fail = (input, message) => {
+    fieldError(input, message);
+    invalid++;
+  };
+  const failRow = (row, message, fields) => {
+    rowIssue(row, message, 'error', fields);
+    invalid++;
+  };
+
+  if (!(params.principal > 0)) fail($('#principal'), '请输入大于 0 的初始本金');
+  if (!(params.leverage >= 1)) fail($('#leverage'), '杠杆倍数不能小于 1');
+  if (!(contractSize > 0)) fail($('#contractSize'), '请输入大于 0 的合约面值');
+  if (params.sizingMode === 'risk' && !(params.riskPct > 0)) fail($('#riskPct'), '请输入有效的单笔风险比例');
+  if (params.sizingMode === 'fixedLot' && !(params.fixedLots > 0)) fail($('#fixedLots'), '请输入大于 0 的每笔手数');
+  if (params.sizingMode === 'fixedMargin' && !(params.fixedMargin > 0)) fail($('#fixedMargin'), '请输入大于 0 的每笔保证金');
+  if (params.sizingMode === 'kelly') {
+    if (!(params.kellyFraction > 0 && params.kellyFraction <= 100)) fail($('#kellyFraction'), '凯利分数需在 0–100% 之间');
+    if (!(params.kellyWindow >= KELLY_MIN_TRADES)) fail($('#kellyWindow'), `统计笔数不能少于 ${KELLY_MIN_TRADES}`);
+  }
+  if (params.sizingMode === 'antiMartingale' || params.sizingMode === 'martingale') {
+    if (!(params.streakFactor >= 1)) fail($('#streakFactor'), '加码倍数不能小于 1');
+    if (!(params.streakMax >= 1)) fail($('#streakMax'), '最多连续次数不能小于 1');
+  }
+  if (params.ddThreshold < 0 || params.ddThreshold >= 100) fail($('#ddThreshold'), '回撤降仓阈值需在 0–100% 之间');
+  if (params.ddThreshold > 0 && !(params.ddFactor > 0 && params.ddFactor <= 100)) fail($('#ddFactor'), '降仓后仓位需在 0–100% 之间');
+  if (params.stopOutLevel > params.marginCallLevel) fail($('#stopOutLevel'), '强平水平不能高于追加保证金水平');
+  if (params.perp) {
+    if (parsePerpTiers($('#perpTiers').value) === false) fail($('#perpTiers'), '档位格式应为 上限:费率%，以逗号分隔');
+    if (params.perp.settlement === 'inverse' && !(params.perp.faceValue > 0)) fail($('#perpFaceValue'), '请输入大于 0 的每张面值');
+    if (params.concurrent) fail($('#concurrent'), '并发持仓模式暂不支持永续合约，请关闭其一');
+  }
+  if (parseCashFlows($('#cashFlows').value) === null) fail($('#cashFlows'), '存取款格式应为 第几笔之后:金额，以逗号分隔，如 0:+1000, 10:-500');
+  if (params.withdrawRule) {
+    if (!(params.withdrawRule.every >= 1)) fail($('#withdrawEvery'), '提取间隔至少为 1 笔');
+    if (!(params.withdrawRule.pct > 0 && params.withdrawRule.pct <= 100)) fail($('#withdrawPct'), '提取比例需在 0–100% 之间');
+  }
+  if (params.concurrent && (params.cashFlows.length > 0 || params.withdrawRule)) {
+    fail($('#concurrent'), '并发持仓模式暂不支持出入金，请关闭并发或清空出入金');
   }
 
-  const trades = gatherTrades();
-  if (trades.length === 0) {
-    alert('请至少添加一笔交易');
-    return;
+  const { trades, rows, errors } = gatherTrades();
+  errors.forEach(e => failRow(e.row, e.message, e.fields));
+  if (trades.length === 0 && errors.length === 0) general.push('请至少添加一笔交易');
+
+  if (params.useTradedQuantity && trades.length > 0 && !trades.some(t => t.quantity > 0)) {
+    fail($('#asTraded'), '实际成交模式需要交易数量，请先导入带数量的 CSV 或在交易行 ⋯ 中填写');
   }
 
   const calc = new LeverageCalculator(params);
-  const data = calc.run(trades);
+  trades.forEach((t, i) => {
+    const row = rows[i];
+    if (params.concurrent) {
+      const open = calc.timeOf(t.time);
+      const close = calc.timeOf(t.closeTime);
+      if (!Number.isFinite(open) || !Number.isFinite(close) || close < open) {
+        failRow(row, '并发持仓模式需要有效的开仓、平仓时间（平仓不早于开仓）', ['time', 'closetime']);
+      }
+    }
+
+    if (t.legs.length > 0 && (params.concurrent || params.perp)) {
+      failRow(row, `${params.perp ? '永续合约' : '并发持仓模式'}暂不支持加减仓，请清空本行的加减仓`, ['legs']);
+    }
+
+    const c = t.instrument ? calc.forInstrument(t.instrument) : calc;
+    if (c.needsQuoteRate() && !c.quoteRate && !(t.quoteRate > 0)) {
+      failRow(row, `请输入报价货币 ${c.quoteCurrency}→${ACCOUNT_CURRENCY} 汇率（本行或全局）`, ['rate']);
+    }
 
+    if (params.sizingMode === 'risk' && !(params.useTradedQuantity && t.quantity > 0)
+      && !(calc.stopDistance(t.entry, t.stopLoss, t.direction) > 0)) {
+      failRow(row, '风险模式需要有效止损价（做多低于入场价，做空高于入场价）', ['sl']);
+    }
+  });
+
+  if (invalid > 0 || general.length > 0) {
+    if (invalid > 0) general.push(`${invalid} 处输入有误，已在对应字段与交易行中标出`);
+    $('#formErrors').innerHTML = general.map(m => `<div class="field-error">${m}</div>`).join('');
+    const first = $('.invalid') || $('#formErrors');
+    first.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    return null;
+  }
+
+  return { params, trades, rows };
+}
+
+// 实际成交模式下另按当前规则重跑一遍作对比
+function renderResults(inputs, data, mc = null) {
+  const ruleData = inputs.params.useTradedQuantity
+    ? new LeverageCalculator({ ...inputs.params, useTradedQuantity: false }).run(inputs.trades)
+    : null;
+
+  lastRun = { params: inputs.params, data, mc };
   renderSummary(data);
-  renderChart(data);
-  renderTable(data);
+  renderTradeIssues(data, inputs.rows);
+  renderStats(data);
+  renderSymbolBreakdown(data);
+  renderSizingComparison(data, ruleData);
+  renderStrategyComparison(inputs.params, inputs.trades);
+  renderChart(data, mc);
+  renderComparison(data);
+  renderTable(data, ruleData);
+}
+
+function calculate() {
+  const inputs = readInputs();
+  if (!inputs) return;
+
+  const data = new LeverageCalculator(inputs.params).run(inputs.trades);
+
+  renderResults(inputs, data);
+  $('#monteCarloResult').innerHTML = '';
+  $('#sweepResult').innerHTML = '';
+  $('#goalResult').innerHTML = '';
+}
+
+// 热力图着色：净值按收益率深浅（盈绿亏红），回撤 0 → 100% 由绿到红，强平为红、追保为黄
+function sweepCellColor(cell, metric, maxAbsReturn) {
+  if (metric === 'ruin') {
+    return !cell.safe ? 'rgba(239,68,68,.55)' : cell.marginCalls > 0 ? 'rgba(234,179,8,.35)' : 'rgba(34,197,94,.3)';
+  }
+  if (metric === 'drawdown') {
+    const t = Math.min(1, cell.maxDrawdownPct / 100);
+    return `hsla(${Math.round(120 * (1 - t))}, 70%, 45%, .5)`;
+  }
+  const t = maxAbsReturn > 0 ? Math.min(1, Math.abs(cell.totalReturn) / maxAbsReturn) : 0;
+  return cell.totalReturn >= 0
+    ? `rgba(34,197,94,${(0.1 + 0.6 * t).toFixed(2)})`
+    : `rgba(239,68,68,${(0.1 + 0.6 * t).toFixed(2)})`;
+}
+
+function renderSweep(sweep, metric) {
+  const { x, y, cells, maxSafe } = sweep;
+  const maxAbsReturn = Math.max(...cells.flat().map(c => Math.abs(c.totalReturn)));
+  const value = (c) => metric === 'drawdown' ? formatNum(c.maxDrawdownPct, 1) + '%'
+    : metric === 'ruin' ? (c.safe ? (c.marginCalls > 0 ? `追保 ${c.marginCalls}` : '✓') : `强平 ${c.liquidations}`)
+    : formatUSD(c.finalBalance);
+  const title = (c, xv, yv) => `${SWEEP_PARAMS[x.key]} ${xv} · ${SWEEP_PARAMS[y.key]} ${yv}\n`
+    + `最终净值 ${formatUSD(c.finalBalance)}（${formatNum(c.totalReturn)}%）\n`
+    + `最大回撤 ${formatNum(c.maxDrawdownPct)}% · 强平 ${c.liquidations} · 追保 ${c.marginCalls}`
+    + (c.ruined ? '\n余额归零' : '');
+  const metricName = { balance: '最终净值', drawdown: '最大回撤', ruin: '强平' }[metric];
+
+  $('#sweepResult').innerHTML = `
+    <div class="mc-result">
+      <h3>参数扫描：${metricName}（${x.values.length} × ${y.values.length} 组）</h3>
+      <table class="result-table sweep-table">
+        <thead><tr><th>${SWEEP_PARAMS[y.key]} \\ ${SWEEP_PARAMS[x.key]}</th>${x.values.map(v => `<th>${v}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${y.values.map((yv, j) => `<tr>
+            <td>${yv}</td>
+            ${x.values.map((xv, i) => {
+              const c = cells[j][i];
+              return `<td class="${c.safe ? '' : 'sweep-liquidated'}" style="background:${sweepCellColor(c, metric, maxAbsReturn)}" title="${title(c, xv, yv)}">${c.safe ? '' : '✕ '}${value(c)}</td>`;
+            }).join('')}
+          </tr>`).join('')}
+          <tr class="sweep-safe-row">
+            <td>最大安全值</td>
+            ${maxSafe.map(v => `<td>${v === null ? '-' : v}</td>`).join('')}
+          </tr>
+        </tbody>
+      </table>
+      <div class="field-hint">✕ 为出现强平或余额归零的组合；最大安全值为该列${SWEEP_PARAMS[y.key]}从小到大连续无强平的最大取值</div>
+    </div>
+  `;
+}
+
+function renderMonteCarlo(mc) {
+  const row = (label, stats, fmt) => `<tr><td>${label}</td>${
+    MC_PERCENTILES.map(p => `<td>${fmt(stats[`p${p}`])}</td>`).join('')
+  }</tr>`;
+
+  $('#monteCarloResult').innerHTML = `
+    <div class="mc-result">
+      <h3>蒙特卡洛分布（${mc.iterations} 次 · ${mc.method === 'bootstrap' ? '有放回重抽' : '打乱顺序'} · 种子 ${mc.seed}）</h3>
+      <div class="summary-cards">
+        <div class="card ${mc.ruinProbability > 5 ? 'card-red' : 'card-green'}">
+          <div class="card-label">破产概率</div>
+          <div class="card-value">${formatNum(mc.ruinProbability)}%</div>
+        </div>
+        <div class="card card-accent">
+          <div class="card-label">盈利概率</div>
+          <div class="card-value">${formatNum(mc.profitProbability)}%</div>
+        </div>
+        <div class="card card-accent">
+          <div class="card-label">平均最终净值</div>
+          <div class="card-value">${formatUSD(mc.meanFinalBalance)}</div>
+        </div>
+      </div>
+      <table class="result-table">
+        <thead><tr><th>分位</th>${MC_PERCENTILES.map(p => `<th>P${p}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${row('最终净值', mc.finalBalance, formatUSD)}
+          ${row('最大回撤', mc.maxDrawdownPct, v => formatNum(v) + '%')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function runMonteCarloFromForm() {
+  const inputs = readInputs();
+  if (!inputs) return;
+
+  const options = {
+    iterations: Math.max(100, Math.min(20000, parseInt($('#mcIterations').value, 10) || 1000)),
+    method: $('#mcMethod').value,
+    seed: parseInt($('#mcSeed').value, 10) || 0,
+    ruinPct: parseFloat($('#mcRuin').value) || 0,
+  };
+
+  const data = new LeverageCalculator(inputs.params).run(inputs.trades);
+  const mc = runMonteCarlo(inputs.params, inputs.trades, options);
+
+  renderResults(inputs, data, mc);
+  renderMonteCarlo(mc);
+  $('#sweepResult').innerHTML = '';
+  $('#goalResult').innerHTML = '';
+}
+
+$('#runMonteCarlo').addEventListener('click', runMonteCarloFromForm);
+
+// 可扫描的参数（构造参数名 → 显示名）
+const SWEEP_PARAMS = {
+  leverage: '杠杆倍数',
+  marginRatio: '持仓比例 %',
+  riskPct: '单笔风险 %',
+  stopOutLevel: '强平水平 %',
+  principal: '初始本金',
+};
+
+function readSweepAxis(prefix) {
+  const key = $(`#${prefix}`).value;
+  const values = sweepValues(
+    parseFloat($(`#${prefix}From`).value),
+    parseFloat($(`#${prefix}To`).value),
+    parseFloat($(`#${prefix}Step`).value),
+  );
+  return { key, values };
+}
+
+function runSweepFromForm() {
+  const inputs = readInputs();
+  if (!inputs) return;
+
+  const x = readSweepAxis('sweepX');
+  const y = readSweepAxis('sweepY');
+  let valid = true;
+  if (x.key === y.key) {
+    fieldError($('#sweepY'), '横轴与纵轴需选择不同的参数');
+    valid = false;
+  }
+  [['sweepX', x], ['sweepY', y]].forEach(([prefix, axis]) => {
+    if (axis.values && axis.values[0] > 0) return;
+    fieldError($(`#${prefix}`), `${SWEEP_PARAMS[axis.key]}的范围无效：起始值需大于 0、终止值不小于起始值、步长大于 0，且最多 ${SWEEP_MAX_STEPS} 个取值`);
+    ['From', 'To', 'Step'].forEach(k => $(`#${prefix}${k}`).classList.add('invalid'));
+    valid = false;
+  });
+  if (!valid) return;
+
+  const data = new LeverageCalculator(inputs.params).run(inputs.trades);
+  const sweep = runSweep(inputs.params, inputs.trades, x, y);
+
+  renderResults(inputs, data);
+  renderSweep(sweep, $('#sweepMetric').value);
+  $('#monteCarloResult').innerHTML = '';
+  $('#goalResult').innerHTML = '';
+}
+
+$('#runSweep').addEventListener('click', runSweepFromForm);
+
+// 目标反推：约束输入框（留空为不限）
+const GOAL_CONSTRAINT_INPUTS = {
+  minRoomPct: '#goalMinRoom',
+  maxLeverage: '#goalMaxLeverage',
+  maxDrawdownPct: '#goalMaxDrawdown',
+};
+
+$('#goalSource').addEventListener('change', (e) => {
+  $('#goalAverageFields').style.display = e.target.value === 'average' ? '' : 'none';
+});
+
+function runGoalFromForm() {
+  const inputs = readInputs();
+  if (!inputs) return;
+
+  const { params } = inputs;
+  const variable = $('#goalVariable').value;
+  const target = parseFloat($('#goalTarget').value);
+  const targetBalance = $('#goalTargetType').value === 'return' ? params.principal * (1 + target / 100) : target;
+  let valid = true;
+  const fail = (input, message) => {
+    fieldError(input, message);
+    valid = false;
+  };
+
+  if (!(targetBalance > params.principal)) fail($('#goalTarget'), '目标净值需高于初始本金');
+  if (variable === 'marginRatio' && (params.sizingMode !== 'margin' || params.useTradedQuantity)) {
+    fail($('#goalVariable'), '持仓比例只在"按持仓比例"计算仓位且未使用实际成交数量时起作用');
+  }
+  const constraints = {};
+  for (const key in GOAL_CONSTRAINT_INPUTS) {
+    const input = $(GOAL_CONSTRAINT_INPUTS[key]);
+    if (input.value === '') continue;
+    const value = parseFloat(input.value);
+    if (value > 0) constraints[key] = value;
+    else fail(input, '需为正数，留空表示不限');
+  }
+
+  const averaged = $('#goalSource').value === 'average';
+  let trades = inputs.trades;
+  if (averaged) {
+    const pct = parseFloat($('#goalAvgPct').value);
+    const count = parseInt($('#goalCount').value, 10);
+    const price = parseFloat($('#goalPrice').value) || inputs.trades[0].entry;
+    if (!(pct > -100)) fail($('#goalAvgPct'), '请输入大于 -100 的涨跌幅');
+    if (variable !== 'trades' && !(count >= 1)) fail($('#goalCount'), '笔数至少为 1');
+    if (!(price > 0)) fail($('#goalPrice'), '请输入大于 0 的参考价格');
+    // 求笔数时只需一笔作为循环单元
+    trades = averageTrades(variable === 'trades' ? 1 : count, pct, price);
+  }
+  if (!valid) return;
+
+  const result = solveGoal(params, trades, { variable, targetBalance, constraints });
+  const solvedParams = variable === 'trades' ? params : { ...params, [variable]: result.value };
+  // 平均涨跌幅的假想交易与交易行不对应，不在行内标注提示
+  // 对比表按求解使用的交易序列重算（求笔数时为循环展开后的序列）
+  renderResults({ params: { ...solvedParams, concurrent: false }, trades: result.trades, rows: averaged ? [] : inputs.rows }, result.data);
+  renderGoal(result, constraints);
+  $('#monteCarloResult').innerHTML = '';
+  $('#sweepResult').innerHTML = '';
+}
+
+function renderGoal(result, constraints) {
+  const variable = GOAL_VARIABLES[result.variable];
+  const show = (v) => result.variable === 'trades' ? `${v} 笔` : `${formatNum(v, 0)}${variable.unit}`;
+  const name = variable.label;
+  const target = formatUSD(result.targetBalance);
+  const describe = (key) => {
+    const c = GOAL_CONSTRAINTS[key];
+    return `「${c.label} ${key === 'minRoomPct' ? '≥' : '≤'} ${formatNum(constraints[key])}${c.unit}」`;
+  };
+  const final = formatUSD(result.data.finalBalance);
+
+  let verdict;
+  if (result.feasible) {
+    verdict = `✓ ${name}取 ${show(result.value)} 即可达到目标 ${target}（最终净值 ${final}）`;
+  } else if (result.limit === null) {
+    verdict = `✕ ${describe(result.binding)}在${name}取最小值 ${show(variable.min)} 时已不满足`
+      + (result.required === null ? '' : `，而达到目标需要${name} ≥ ${show(result.required)}`);
+  } else if (result.required === null) {
+    verdict = `✕ ${name}在 ${show(variable.min)} – ${show(variable.max)} 范围内无法达到目标 ${target}，`
+      + `取 ${show(result.value)} 时最终净值为 ${final}`;
+  } else {
+    verdict = `✕ 达到目标需要${name} ≥ ${show(result.required)}，但${describe(result.binding)}要求${name} ≤ ${show(result.limit)}`
+      + `（此时最终净值 ${final}）`;
+  }
+
+  let bindingText;
+  if (Object.keys(constraints).length === 0) {
+    bindingText = '未设置约束';
+  } else if (result.binding === null) {
+    bindingText = `约束均未限制${name}：取到上限 ${show(variable.max)} 仍满足`;
+  } else if (result.feasible) {
+    bindingText = `起限制作用的是${describe(result.binding)}：${name}最高可到 ${show(result.limit)}`;
+  } else {
+    bindingText = `起限制作用的是${describe(result.binding)}`;
+  }
+
+  const m = result.metrics;
+  const actual = {
+    minRoomPct: m.minRoomPct === Infinity ? '-' : `${formatNum(m.minRoomPct)}%`,
+    maxLeverage: `${formatNum(m.maxLeverage)}x`,
+    maxDrawdownPct: `${formatNum(m.maxDrawdownPct)}%`,
+  };
+  const rows = Object.keys(constraints).map(key => {
+    const holds = GOAL_CONSTRAINTS[key].holds(m, constraints[key]);
+    const cap = result.limits[key];
+    return `<tr>
+      <td>${describe(key)}</td>
+      <td class="${holds ? 'profit-positive' : 'profit-negative'}">${actual[key]}</td>
+      <td>${cap === null ? '无' : show(cap)}</td>
+      <td>${key === result.binding ? '<span class="badge badge-yellow">限制</span>' : holds ? '满足' : '<span class="badge badge-red">不满足</span>'}</td>
+    </tr>`;
+  }).join('');
+
+  $('#goalResult').innerHTML = `
+    <div class="mc-result">
+      <h3>目标反推：${name}</h3>
+      <p class="goal-verdict ${result.feasible ? 'profit-positive' : 'profit-negative'}">${verdict}</p>
+      <p class="field-hint">${bindingText}</p>
+      ${rows ? `<table class="result-table">
+        <thead><tr><th>约束</th><th>解处实际值</th><th>允许的最大${name}</th><th>状态</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : ''}
+      ${result.feasible && result.variable !== 'trades'
+        ? `<button class="btn btn-outline goal-apply" data-variable="${result.variable}" data-value="${result.value}">将${name}设为 ${show(result.value)}</button>`
+        : ''}
+      <div class="field-hint">下方结果与明细按${name} ${show(result.value)} 计算${result.variable === 'trades' ? '，交易序列循环重复' : ''}</div>
+    </div>
+  `;
 }
 
+$('#runGoal').addEventListener('click', runGoalFromForm);
+
+$('#goalResult').addEventListener('click', (e) => {
+  const btn = e.target.closest('.goal-apply');
+  if (!btn) return;
+  const input = $(btn.dataset.variable === 'leverage' ? '#leverage' : '#marginRatio');
+  input.value = btn.dataset.value;
+  input.dispatchEvent(new Event('input'));
+});
+
 $('#calculate').addEventListener('click', calculate);
 
 // Init — sync lot step from default selected asset
@@ -495,12 +2028,543 @@ function syncAssetDefaults() {
     $('#lotStep').value = parseFloat(opt.dataset.step) || 0.01;
     $('#assetInfo').textContent = opt.dataset.info || '';
   }
+  updateQuoteRateField();
+  updatePointInfo();
 }
 
 syncAssetDefaults();
 addDefaultTrades();
 updateLotsPreview();
 
+// ═══════════════════════════════════════
+//  场景保存 / 分享
+// ═══════════════════════════════════════
+
+// 场景 JSON 结构版本，字段改名或含义变化时递增并在 SCENARIO_MIGRATIONS 中补充升级函数
+// 新增字段无需升级：场景缺失的字段按页面默认值重置，不沿用载入前的表单
+const SCENARIO_VERSION = 2;
+const SCENARIO_STORAGE_KEY = 'leverageCalculator.scenarios';
+const SCENARIO_HASH_PREFIX = '#scenario=';
+
+// 按 id 保存的表单控件（品种单独按名称保存，option value 为合约面值并不唯一）
+const SCENARIO_FIELDS = [
+  'principal', 'leverage', 'contractSize', 'customQuote', 'customPoint', 'lotStep',
+  'sizingMode', 'asTraded', 'qtyUnit', 'marginRatio', 'riskPct', 'fixedLots', 'fixedMargin',
+  'kellyFraction', 'kellyWindow', 'streakFactor', 'streakMax', 'ddThreshold', 'ddFactor', 'quoteRate',
+  'compounding', 'concurrent', 'spread', 'commission', 'swapLong', 'swapShort', 'feeCurrency',
+  'marginCallLevel', 'stopOutLevel', 'perpMode', 'perpSettlement', 'perpMarginMode',
+  'fundingRate', 'fundingInterval', 'perpFaceValue', 'perpTiers', 'cashFlows', 'withdrawMode', 'withdrawEvery', 'withdrawPct',
+  'mcIterations', 'mcMethod', 'mcSeed', 'mcRuin',
+  'sweepX', 'sweepXFrom', 'sweepXTo', 'sweepXStep',
+  'sweepY', 'sweepYFrom', 'sweepYTo', 'sweepYStep', 'sweepMetric',
+  'replayEntry', 'replayDirection', 'replayFast', 'replaySlow', 'replayPeriod',
+  'replayTP', 'replayTPUnit', 'replaySL', 'replaySLUnit', 'replayTrail', 'replayTrailUnit', 'replayMaxBars',
+  'goalVariable', 'goalTargetType', 'goalTarget', 'goalSource', 'goalAvgPct', 'goalCount', 'goalPrice',
+  'goalMinRoom', 'goalMaxLeverage', 'goalMaxDrawdown',
+];
+
+// 控件在 HTML 中的初始值
+function fieldDefault(el) {
+  if (el.type === 'checkbox') return el.defaultChecked;
+  if (el.tagName === 'SELECT') return ([...el.options].find(o => o.defaultSelected) || el.options[0])?.value ?? '';
+  return el.defaultValue;
+}
+
+// 随所选品种填写的字段，缺失时取品种规格而非默认值
+const ASSET_DERIVED_FIELDS = ['contractSize', 'lotStep', 'spread'];
+
+function scenarioDefaults() {
+  return Object.fromEntries(SCENARIO_FIELDS
+    .filter(id => !ASSET_DERIVED_FIELDS.includes(id))
+    .map(id => [id, fieldDefault($(`#${id}`))]));
+}
+
+// version → 升级到 version + 1 的函数
+const SCENARIO_MIGRATIONS = {
+  // v1 载入时缺失的字段保留当前值，升级时按默认值补齐
+  1: (scenario) => ({ ...scenario, version: 2, form: { ...scenarioDefaults(), ...scenario.form } }),
+};
+
+// 场景中的品种目录：预设 id，加上与预设规格不同或新增的品种、从预设中删除的品种
+// 非预设目录（导入的 JSON）以标准预设为基准
+function catalogSnapshot() {
+  const base = presetCatalog(catalog.preset || 'standard');
+  const baseSpecs = new Map(base.instruments.map(inst => [inst.symbol, JSON.stringify(inst)]));
+  const symbols = new Set(catalog.instruments.map(inst => inst.symbol));
+  return {
+    preset: catalog.preset,
+    name: catalog.name,
+    instruments: catalog.instruments.filter(inst => baseSpecs.get(inst.symbol) !== JSON.stringify(inst)),
+    removed: base.instruments.map(inst => inst.symbol).filter(symbol => !symbols.has(symbol)),
+  };
+}
+
+// catalogSnapshot 的逆过程，规格有误时抛出 Error
+function restoreCatalog(snapshot) {
+  const base = presetCatalog(snapshot.preset in BROKER_PRESETS ? snapshot.preset : 'standard');
+  const overrides = new Map((snapshot.instruments || []).map(inst => [inst.symbol, inst]));
+  const removed = new Set(snapshot.removed || []);
+  const instruments = base.instruments
+    .filter(inst => !removed.has(inst.symbol))
+    .map(inst => overrides.get(inst.symbol) || inst);
+  const added = [...overrides.values()].filter(inst => !instruments.some(i => i.symbol === inst.symbol));
+  return normalizeCatalog({ ...snapshot, instruments: [...instruments, ...added] });
+}
+
+function captureScenario(name = '') {
+  const form = {};
+  SCENARIO_FIELDS.forEach(id => {
+    const el = $(`#${id}`);
+    form[id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  const trades = [];
+  $$('.trade-row').forEach(row => trades.push(readRowData(row)));
+
+  return {
+    version: SCENARIO_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    asset: $('#assetSelect').selectedOptions[0].dataset.name,
+    catalog: catalogSnapshot(),
+    form,
+    tradeMode,
+    trades,
+  };
+}
+
+function migrateScenario(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    throw new Error('不是有效的场景数据');
+  }
+  if (data.version > SCENARIO_VERSION) {
+    throw new Error(`场景版本 v${data.version} 高于页面支持的 v${SCENARIO_VERSION}`);
+  }
+  let scenario = data;
+  while (scenario.version < SCENARIO_VERSION) {
+    scenario = SCENARIO_MIGRATIONS[scenario.version](scenario);
+  }
+  return scenario;
+}
+
+// 缺失的字段按默认值重置，未知字段忽略；未记录品种目录的旧场景沿用当前目录
+function applyScenario(data) {
+  const scenario = migrateScenario(data);
+  if (scenario.catalog) {
+    catalog = restoreCatalog(scenario.catalog);
+    applyCatalog();
+  }
+
+  const assetOpt = [...$('#assetSelect').options].find(o => o.dataset.name === scenario.asset);
+  if (assetOpt) {
+    assetOpt.selected = true;
+    $('#assetSelect').dispatchEvent(new Event('change'));
+  }
+
+  const form = { ...scenarioDefaults(), ...scenario.form };
+  SCENARIO_FIELDS.forEach(id => {
+    if (!(id in form)) return;
+    const el = $(`#${id}`);
+    if (el.type === 'checkbox') el.checked = !!form[id];
+    else el.value = form[id];
+  });
+  $('#marginRatioInput').value = $('#marginRatio').value;
+  $('#asTraded').dispatchEvent(new Event('change'));
+  $('#sizingMode').dispatchEvent(new Event('change'));
+  updateQuoteRateField();
+  updatePointInfo();
+  updatePerpFields();
+  updateCashFlowFields();
+  ['#replayEntry', '#goalSource'].forEach(sel => $(sel).dispatchEvent(new Event('change')));
+
+  tradeMode = scenario.tradeMode === 'pct' ? 'pct' : 'price';
+  $$('.tab').forEach(t => t.classList.toggle('active', t.dataset.mode === tradeMode));
+  renderTradeRows(scenario.trades || []);
+  updateLotsPreview();
+  $('#scenarioName').value = scenario.name || '';
+}
+
+function readSavedScenarios() {
+  try {
+    return JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeSavedScenarios(all) {
+  localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(all));
+}
+
+function refreshScenarioList(selected = '') {
+  const names = Object.keys(readSavedScenarios()).sort((a, b) => a.localeCompare(b, 'zh-CN'));
+  const select = $('#scenarioSelect');
+  select.innerHTML = '';
+  if (names.length === 0) {
+    select.appendChild(new Option('（暂无）', ''));
+    return;
+  }
+  names.forEach(n => select.appendChild(new Option(n, n, false, n === selected)));
+}
+
+// UTF-8 JSON → base64url
+function encodeScenario(scenario) {
+  const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeScenario(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function showScenarioStatus(msg, type = 'success') {
+  const el = $('#scenarioStatus');
+  el.textContent = msg;
+  el.className = 'csv-status ' + type;
+  setTimeout(() => {
+    el.className = 'csv-status';
+    el.textContent = '';
+  }, 4000);
+}
+
+$('#saveScenario').addEventListener('click', () => {
+  const name = $('#scenarioName').value.trim();
+  if (!name) {
+    alert('请输入场景名称');
+    return;
+  }
+  const all = readSavedScenarios();
+  if (all[name] && !confirm(`场景"${name}"已存在，是否覆盖？`)) return;
+
+  all[name] = captureScenario(name);
+  try {
+    writeSavedScenarios(all);
+  } catch (err) {
+    alert('保存失败（浏览器存储不可用或已满）：' + err.message);
+    return;
+  }
+  refreshScenarioList(name);
+  showScenarioStatus(`已保存场景"${name}"`);
+});
+
+$('#loadScenario').addEventListener('click', () => {
+  const name = $('#scenarioSelect').value;
+  const scenario = readSavedScenarios()[name];
+  if (!scenario) return;
+  try {
+    applyScenario(scenario);
+  } catch (err) {
+    alert(`场景"${name}"无法载入：${err.message}`);
+    return;
+  }
+  calculate();
+});
+
+$('#deleteScenario').addEventListener('click', () => {
+  const name = $('#scenarioSelect').value;
+  if (!name || !confirm(`删除场景"${name}"？`)) return;
+  const all = readSavedScenarios();
+  delete all[name];
+  writeSavedScenarios(all);
+  refreshScenarioList();
+});
+
+$('#exportScenario').addEventListener('click', () => {
+  const name = $('#scenarioName').value.trim();
+  const json = JSON.stringify(captureScenario(name), null, 2);
+  downloadFile(`${name || 'scenario'}.json`, json, 'application/json');
+});
+
+$('#importScenario').addEventListener('click', () => $('#scenarioFileInput').click());
+
+$('#scenarioFileInput').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (ev) => {
+    try {
+      applyScenario(JSON.parse(ev.target.result));
+    } catch (err) {
+      showScenarioStatus('场景文件无法载入：' + err.message, 'error');
+      return;
+    }
+    showScenarioStatus(`已导入 ${file.name}`);
+    calculate();
+  };
+  reader.readAsText(file);
+});
+
+$('#shareScenario').addEventListener('click', () => {
+  const scenario = captureScenario($('#scenarioName').value.trim());
+  const url = location.href.split('#')[0] + SCENARIO_HASH_PREFIX + encodeScenario(scenario);
+  history.replaceState(null, '', url);
+  if (!navigator.clipboard) {
+    prompt('复制分享链接', url);
+    return;
+  }
+  navigator.clipboard.writeText(url).then(
+    () => showScenarioStatus('分享链接已复制到剪贴板'),
+    () => prompt('复制分享链接', url),
+  );
+});
+
+// 打开带场景的分享链接时还原表单并计算
+function loadScenarioFromHash() {
+  if (!location.hash.startsWith(SCENARIO_HASH_PREFIX)) return;
+  try {
+    applyScenario(decodeScenario(location.hash.slice(SCENARIO_HASH_PREFIX.length)));
+  } catch (err) {
+    alert('分享链接无法解析：' + err.message);
+    return;
+  }
+  calculate();
+}
+
+window.addEventListener('hashchange', loadScenarioFromHash);
+
+refreshScenarioList();
+loadScenarioFromHash();
+
+// ═══════════════════════════════════════
+//  结果导出（CSV / XLSX / 打印报告）
+// ═══════════════════════════════════════
+
+function reportParamRows(params) {
+  const sizing = describeSizing(params);
+  const rows = [
+    ['初始本金', formatUSD(params.principal)],
+    ['杠杆倍数', `${params.leverage}x${params.maxLeverage > 0 && params.maxLeverage < params.leverage ? `（品种上限 ${params.maxLeverage}x）` : ''}`],
+    ['交易品种', `${params.symbol}（合约面值 ${params.contractSize}，手数步进 ${params.lotStep}）`],
+    ['仓位计算', sizing],
+    ['复利模式', params.compounding ? '开启' : '关闭'],
+    ['并发持仓', params.concurrent ? '开启' : '关闭'],
+    ['点差 / 佣金', `${params.spreadPoints} 点 / $${params.commissionPerLot} 每手单边`],
+    ['隔夜利息 多 / 空', `$${params.swapLong} / $${params.swapShort}`],
+    ['追保 / 强平水平', `${params.marginCallLevel}% / ${params.stopOutLevel}%`],
+  ];
+  if (params.perp) {
+    const { settlement, marginMode, fundingRate, fundingIntervalHours, faceValue } = params.perp;
+    rows.splice(rows.length - 1, 1, ['永续合约', `${PERP_SETTLEMENTS[settlement]} · ${MARGIN_MODES[marginMode]}`
+      + `${settlement === 'inverse' ? ` · 每张 $${faceValue}` : ''} · 资金费率 ${fundingRate}% / ${fundingIntervalHours} 小时`]);
+  }
+  const cashFlows = describeCashFlows(params);
+  if (cashFlows) rows.push(['出入金', cashFlows]);
+  if (params.quoteCurrency !== ACCOUNT_CURRENCY) {
+    rows.splice(3, 0, ['报价货币', `${params.quoteCurrency}${params.quoteRate ? `（1 = ${params.quoteRate} ${ACCOUNT_CURRENCY}）` : ''}`]);
+  }
+  return rows;
+}
+
+function reportSummaryRows(data) {
+  const m = summaryMetrics(data);
+  return [
+    ['最终净值', m.finalBalance],
+    ['总盈亏', m.totalProfit],
+    ['总收益率 %', m.totalReturn],
+    ['平均实际杠杆', m.avgLeverage],
+    ['最小可回调 %', m.minDDPct],
+    ['最大回撤 %', m.maxDrawdownPct],
+    ['交易成本', m.totalCosts],
+    ['强平次数', m.liquidations],
+    ['追保次数', m.marginCalls],
+    ['拒绝建仓笔数', data.rejectedTrades],
+    ...(data.navCurve ? [['累计存入', data.totalDeposited], ['累计提取', data.totalWithdrawn]] : []),
+  ];
+}
+
+function xmlEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 0 → A，25 → Z，26 → AA
+function xlsxColumn(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+// 工作表 XML：数字与布尔值按原类型写入，其余为内联字符串
+function xlsxSheet(rows) {
+  const cell = (v, ref) => {
+    if (v === null || v === undefined || v === '') return '';
+    if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+    if (typeof v === 'boolean') return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  };
+  const body = rows.map((row, r) =>
+    `<row r="${r + 1}">${row.map((v, c) => cell(v, xlsxColumn(c) + (r + 1))).join('')}</row>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+// sheets 为 [{ name, rows }]，返回 .xlsx 文件字节
+function createXLSX(sheets) {
+  const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const relNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+  const docRel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const files = {
+    '[Content_Types].xml': head + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+      + '</Types>',
+    '_rels/.rels': head + `<Relationships xmlns="${relNs}">`
+      + `<Relationship Id="rId1" Type="${docRel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': head + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${docRel}"><sheets>`
+      + sheets.map((sh, i) => `<sheet name="${xmlEscape(sh.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+      + '</sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': head + `<Relationships xmlns="${relNs}">`
+      + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${docRel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+      + '</Relationships>',
+  };
+  sheets.forEach((sh, i) => { files[`xl/worksheets/sheet${i + 1}.xml`] = xlsxSheet(sh.rows); });
+
+  const encoder = new TextEncoder();
+  return createZip(Object.entries(files).map(([name, text]) => ({ name, data: encoder.encode(text) })));
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 不压缩 (stored) 的 ZIP 打包，files 为 [{ name, data: Uint8Array }]
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const DOS_DATE = 0x21;  // 1980-01-01
+  const UTF8_FLAG = 0x0800;
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(12, DOS_DATE, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    local.push(new Uint8Array(header.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((s, b) => s + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const chunks = [...local, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(chunks.reduce((s, b) => s + b.length, 0));
+  let pos = 0;
+  chunks.forEach(b => { out.set(b, pos); pos += b.length; });
+  return out;
+}
+
+function exportFileName(ext) {
+  return `leverage-results-${formatTime(Date.now()).replace(/[-: ]/g, '')}.${ext}`;
+}
+
+function requireResult() {
+  if (!lastRun) alert('请先计算');
+  return !!lastRun;
+}
+
+$('#exportCSV').addEventListener('click', () => {
+  if (!requireResult()) return;
+  // BOM 让 Excel 按 UTF-8 识别中文
+  downloadFile(exportFileName('csv'), '\uFEFF' + toCSV(resultRows(lastRun.data.results)), 'text/csv;charset=utf-8');
+});
+
+$('#exportXLSX').addEventListener('click', () => {
+  if (!requireResult()) return;
+  const { params, data } = lastRun;
+  const xlsx = createXLSX([
+    { name: '交易明细', rows: resultRows(data.results) },
+    { name: '汇总', rows: [['参数', '值'], ...reportParamRows(params), [], ['指标', '值'], ...reportSummaryRows(data)] },
+  ]);
+  downloadFile(exportFileName('xlsx'), xlsx, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+});
+
+// 打印报告：屏幕上隐藏的 #printReport 在打印样式下替换整个页面
+function buildReport() {
+  const { params, data } = lastRun;
+  // 报告中的曲线取自净值图
+  if (chartView !== 'balance') showChartView('balance');
+  const chartImage = growthChart ? growthChart.toBase64Image() : '';
+  $('#printReport').innerHTML = `
+    <h1>杠杆交易复利计算报告</h1>
+    <div class="report-meta">生成时间 ${formatTime(Date.now())} · ${data.results.length} 笔交易</div>
+    <h3>输入参数</h3>
+    <table class="report-params"><tbody>
+      ${reportParamRows(params).map(([k, v]) => `<tr><td>${xmlEscape(k)}</td><td>${xmlEscape(v)}</td></tr>`).join('')}
+    </tbody></table>
+    <h3>总结</h3>
+    <div class="summary-cards">${$('#summaryCards').innerHTML}</div>
+    <h3>账户收益率曲线</h3>
+    ${chartImage ? `<img src="${chartImage}" alt="账户收益率曲线">` : ''}
+    ${$('#tradeIssues').innerHTML}
+    <h3>逐笔交易明细</h3>
+    ${$('#tradeTable').innerHTML}
+  `;
+}
+
+$('#exportReport').addEventListener('click', () => {
+  if (!requireResult()) return;
+  buildReport();
+  window.print();
+});
+
 // ═══════════════════════════════════════
 //  CSV 拖放导入功能
 // ═══════════════════════════════════════
@@ -548,40 +2612,7 @@ function processCSVFile(file) {
   const reader = new FileReader();
   reader.onload = (e) => {
     try {
-      const csv = e.target.result;
-      const trades = parseTradingViewCSV(csv);
-      
-      if (trades.length === 0) {
-        showCSVStatus('未找到有效的交易记录', 'error');
-        return;
-      }
-
-      // 清空现有交易
-      $('#tradeList').innerHTML = '';
-      
-      // 添加解析出的交易
-      trades.forEach((trade, i) => {
-        const row = createTradeRow(i);
-        $('#tradeList').appendChild(row);
-        row.querySelector('.trade-dir').value = trade.direction;
-        row.querySelector('.trade-entry').value = trade.entry;
-        
-        if (tradeMode === 'price' && row.querySelector('.trade-exit')) {
-          row.querySelector('.trade-exit').value = trade.exit;
-        }
-        if (tradeMode === 'pct' && row.querySelector('.trade-pct')) {
-          const pct = trade.direction === 'long' 
-            ? ((trade.exit - trade.entry) / trade.entry * 100).toFixed(2)
-            : ((trade.entry - trade.exit) / trade.entry * 100).toFixed(2);
-          row.querySelector('.trade-pct').value = pct;
-        }
-      });
-
-      renumberTrades();
-      showCSVStatus(`成功导入 ${trades.length} 笔交易`, 'success');
-      
-      // 自动触发计算
-      setTimeout(calculate, 300);
+      handleCSVText(e.target.result);
     } catch (err) {
       console.error(err);
       showCSVStatus('CSV解析失败: ' + err.message, 'error');
@@ -590,6 +2621,95 @@ function processCSVFile(file) {
   reader.readAsText(file);
 }
 
+// 自动识别格式；识别失败时打开列映射向导
+function handleCSVText(csv) {
+  const table = parseCSVTable(csv);
+  if (!table) {
+    showCSVStatus('未找到有效的交易记录', 'error');
+    return;
+  }
+
+  const profile = detectCSVProfile(table.headers);
+  if (!profile) {
+    showMappingWizard(table);
+    return;
+  }
+
+  const columns = resolveColumns(table.headers, profile.columns);
+  $('#qtyUnit').value = profile.quantityUnit;
+  $('#feeCurrency').value = profile.feeCurrency || 'account';
+  importTrades(profile.name, extractTrades(table, profile.layout, columns));
+}
+
+// 导入时跳过的行及原因，保留到下次导入
+const SKIPPED_LIST_MAX = 100;
+
+function renderSkippedRows(sourceName, skipped) {
+  if (skipped.length === 0) {
+    $('#csvSkipped').innerHTML = '';
+    return;
+  }
+  const shown = skipped.slice(0, SKIPPED_LIST_MAX);
+  $('#csvSkipped').innerHTML = `
+    <details class="csv-skipped">
+      <summary>${sourceName}：跳过 ${skipped.length} 行</summary>
+      <ul>
+        ${shown.map(s => `<li>${s.line ? `第 ${s.line} 行：` : ''}${xmlEscape(s.reason)}</li>`).join('')}
+        ${skipped.length > shown.length ? `<li>…另有 ${skipped.length - shown.length} 行</li>` : ''}
+      </ul>
+    </details>
+  `;
+}
+
+function importTrades(sourceName, { trades, skipped }) {
+  renderSkippedRows(sourceName, skipped);
+  if (trades.length === 0) {
+    showCSVStatus(`${sourceName}：未找到有效的交易记录`, 'error');
+    return;
+  }
+
+  const unmatched = fillTradeRows(trades);
+  const skippedText = skipped.length > 0 ? `，跳过 ${skipped.length} 行（见下方明细）` : '';
+  const unmatchedText = unmatched > 0 ? `，${unmatched} 笔品种未识别（使用全局品种）` : '';
+  showCSVStatus(`${sourceName}：成功导入 ${trades.length} 笔交易${skippedText}${unmatchedText}`, 'success');
+
+  // 自动触发计算
+  setTimeout(calculate, 300);
+}
+
+// 用导入 / 回放生成的交易替换交易列表，返回品种未识别的笔数
+function fillTradeRows(trades) {
+  $('#tradeList').innerHTML = '';
+
+  let unmatched = 0;
+  trades.forEach((trade, i) => {
+    const row = createTradeRow(i);
+    $('#tradeList').appendChild(row);
+    const asset = matchAssetName(trade.symbol);
+    if (trade.symbol && !asset) unmatched++;
+    const pct = trade.direction === 'long' 
+      ? ((trade.exit - trade.entry) / trade.entry * 100).toFixed(2)
+      : ((trade.entry - trade.exit) / trade.entry * 100).toFixed(2);
+    fillRowData(row, {
+      dir: trade.direction,
+      entry: trade.entry,
+      exit: trade.exit,
+      pct,
+      sl: trade.stopLoss || '',
+      worst: trade.worstPrice ?? '',
+      nights: trade.nights || '',
+      asset,
+      time: trade.time || '',
+      closetime: trade.closeTime || '',
+      qty: trade.quantity || '',
+      fee: trade.fee ? trade.fee.toFixed(2) : '',
+    });
+  });
+
+  renumberTrades();
+  return unmatched;
+}
+
 function showCSVStatus(msg, type) {
   csvStatus.textContent = msg;
   csvStatus.className = 'csv-status ' + type;
@@ -599,313 +2719,161 @@ function showCSVStatus(msg, type) {
   }, 4000);
 }
 
-// 解析 TradingView CSV
-function parseTradingViewCSV(csvText) {
-  const lines = csvText.trim().split(/\r?\n/);
-  if (lines.length < 2) return [];
-
-  // 解析表头 - 使用制表符或逗号分隔
-  const headers = lines[0].split(/[\t,]/).map(h => h.toLowerCase().replace(/"/g, '').trim());
-  
-  console.log('CSV Headers:', headers);
-  
-  // 查找关键列索引
-  const colIndex = {
-    tradeNo: headers.findIndex(h => h.includes('交易') || h.includes('trade #') || h === 'trade'),
-    type: headers.findIndex(h => h.includes('类型') || h.includes('type')),
-    time: headers.findIndex(h => h.includes('时间') || h.includes('time') || h.includes('date')),
-    price: headers.findIndex(h => h.includes('价格') || h.includes('price')),
-    quantity: headers.findIndex(h => h.includes('仓位大小') || h.includes('quantity') || h.includes('size')),
+// 列映射向导：按所选布局为每个字段指定列，必填字段未选时不可导入
+function showMappingWizard(table) {
+  const box = $('#csvMapping');
+  const options = ['<option value="-1">—</option>']
+    .concat(table.headers.map((h, i) => `<option value="${i}">${h ? xmlEscape(h) : `第${i + 1}列`}</option>`))
+    .join('');
+
+  const renderFields = (layout) => {
+    const guess = resolveColumns(table.headers, GENERIC_COLUMNS);
+    box.querySelector('.mapping-fields').innerHTML = MAPPING_FIELDS[layout].map(([field, label, required]) => `
+      <label>${label}${required ? ' *' : ''}
+        <select data-field="${field}">${options}</select>
+      </label>`).join('');
+    box.querySelectorAll('select[data-field]').forEach(sel => {
+      sel.value = guess[sel.dataset.field] ?? -1;
+    });
   };
 
-  console.log('Column indices:', colIndex);
-
-  // 解析数据行
-  const rawTrades = [];
-  for (let i = 1; i < lines.length; i++) {
-    let line = lines[i].trim();
-    if (!line) continue;
-    
-    // 尝试用制表符分割，如果没有则用逗号
-    let cols = line.split('\t');
-    if (cols.length < 2 || cols[0] === '') {
-      cols = parseCSVLine(line);
+  box.innerHTML = `
+    <div class="mapping-title">未能识别文件格式，请手动指定列</div>
+    <label>记录布局
+      <select class="mapping-layout">
+        <option value="position">每行一笔完整持仓</option>
+        <option value="fills">逐笔成交（按品种配对开平仓）</option>
+        <option value="grouped">按交易编号分组的进场 / 出场行</option>
+      </select>
+    </label>
+    <div class="mapping-fields"></div>
+    <div class="trade-actions">
+      <button class="btn btn-outline mapping-apply">导入</button>
+      <button class="btn btn-ghost mapping-cancel">取消</button>
+    </div>
+  `;
+  box.style.display = '';
+  renderFields('position');
+
+  box.querySelector('.mapping-layout').addEventListener('change', (e) => renderFields(e.target.value));
+  box.querySelector('.mapping-cancel').addEventListener('click', () => { box.style.display = 'none'; });
+  box.querySelector('.mapping-apply').addEventListener('click', () => {
+    const layout = box.querySelector('.mapping-layout').value;
+    const columns = {};
+    box.querySelectorAll('select[data-field]').forEach(sel => {
+      const idx = parseInt(sel.value, 10);
+      if (idx >= 0) columns[sel.dataset.field] = idx;
+    });
+    const missing = MAPPING_FIELDS[layout].filter(([field, , required]) => required && columns[field] === undefined);
+    if (missing.length > 0) {
+      showCSVStatus(`请指定：${missing.map(m => m[1]).join('、')}`, 'error');
+      return;
     }
-    
-    if (cols.length < 3) continue;
+    box.style.display = 'none';
+    importTrades('自定义映射', extractTrades(table, layout, columns));
+  });
+}
 
-    // 清理数值中的逗号
-    const cleanNum = (s) => {
-      if (!s) return 0;
-      return parseFloat(s.toString().replace(/,/g, '').replace(/"/g, '')) || 0;
-    };
+// ═══════════════════════════════════════
+//  历史行情回放
+// ═══════════════════════════════════════
 
-    rawTrades.push({
-      lineIndex: i,
-      tradeNo: colIndex.tradeNo >= 0 ? cols[colIndex.tradeNo] : '',
-      type: colIndex.type >= 0 ? cols[colIndex.type] : '',
-      time: colIndex.time >= 0 ? cols[colIndex.time] : '',
-      price: colIndex.price >= 0 ? cleanNum(cols[colIndex.price]) : 0,
-    });
+let loadedBars = null;
+
+function showBarsStatus(msg, type) {
+  $('#barsStatus').textContent = msg;
+  $('#barsStatus').className = 'csv-status ' + type;
+}
+
+function handleBarsText(name, text) {
+  const table = parseCSVTable(text);
+  const parsed = table && extractBars(table);
+  if (!parsed || parsed.bars.length < 2) {
+    loadedBars = null;
+    showBarsStatus(`${name}：未找到有效的 K 线（需包含时间、开、高、低、收列）`, 'error');
+    return;
   }
+  loadedBars = { name, ...parsed };
+  const { bars, skipped } = parsed;
+  const skippedText = skipped.length > 0 ? `，跳过 ${skipped.length} 行` : '';
+  showBarsStatus(`${name}：${bars.length} 根 K 线（${bars[0].time} — ${bars[bars.length - 1].time}）${skippedText}`, 'success');
+}
 
-  console.log('Raw trades:', rawTrades);
-
-  // 配对进场和出场
-  return pairEntryExit(rawTrades, colIndex);
-}
-
-// 配对进场和出场记录
-function pairEntryExit(rawTrades, colIndex) {
-  const pairs = [];
-  
-  // 按交易编号分组
-  const tradeGroups = {};
-  for (const t of rawTrades) {
-    const no = t.tradeNo;
-    if (!no) continue;
-    if (!tradeGroups[no]) tradeGroups[no] = [];
-    tradeGroups[no].push(t);
-  }
-
-  console.log('Trade groups:', tradeGroups);
-
-  // 处理每组
-  for (const key in tradeGroups) {
-    const group = tradeGroups[key];
-    
-    // 找进场和出场
-    let entry = null, exit = null;
-    
-    for (const t of group) {
-      const type = t.type.toLowerCase();
-      if (type.includes('进场') || type.includes('入场') || 
-          type.includes('开仓') || type.includes('entry') || 
-          type.includes('open') || type.includes('进')) {
-        if (!entry) entry = t;
-      }
-      if (type.includes('出场') || type.includes('平仓') || 
-          type.includes('exit') || type.includes('close') || 
-          type.includes('出')) {
-        if (!exit) exit = t;
-      }
-    }
+$('#barsFile').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => handleBarsText(file.name, reader.result);
+  reader.readAsText(file);
+});
 
-    // 如果没有明确配对，尝试根据时间排序
-    if ((!entry || !exit) && group.length >= 2) {
-      // 按时间排序，第一条是进场，最后一条是出场
-      group.sort((a, b) => a.time.localeCompare(b.time));
-      entry = group[0];
-      exit = group[group.length - 1];
-    }
+$('#replayEntry').addEventListener('change', (e) => {
+  $('#replayMAFields').style.display = e.target.value === 'ma-cross' ? '' : 'none';
+  $('#replayBreakoutFields').style.display = e.target.value === 'breakout' ? '' : 'none';
+});
 
-    if (entry && exit && entry.price > 0 && exit.price > 0) {
-      // 判断方向
-      const entryType = entry.type.toLowerCase();
-      let direction = 'long';
-      
-      if (entryType.includes('空头') || entryType.includes('short') || 
-          entryType.includes('卖') || entryType.includes('空')) {
-        direction = 'short';
-      }
-      
-      pairs.push({
-        entry: entry.price,
-        exit: exit.price,
-        direction: direction,
-        time: entry.time
-      });
-    }
-  }
+// 读取回放规则，输入无效时标注字段并返回 null
+function readReplayRules() {
+  const int = (id) => parseInt($(id).value, 10);
+  const exit = (id) => {
+    const value = parseFloat($(id).value);
+    return value > 0 ? { value, unit: $(`${id}Unit`).value } : null;
+  };
+  const rules = {
+    entry: {
+      type: $('#replayEntry').value,
+      fast: int('#replayFast'),
+      slow: int('#replaySlow'),
+      period: int('#replayPeriod'),
+      direction: $('#replayDirection').value,
+    },
+    takeProfit: exit('#replayTP'),
+    stopLoss: exit('#replaySL'),
+    trailingStop: exit('#replayTrail'),
+    maxBars: int('#replayMaxBars') || 0,
+    pointSize: getPointSize(),
+  };
 
-  // 按时间排序
-  pairs.sort((a, b) => a.time.localeCompare(b.time));
-  
-  console.log('Paired trades:', pairs);
-  return pairs;
-}
-
-// 解析CSV单行
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
+  let valid = true;
+  if (!loadedBars) {
+    fieldError($('#barsFile'), '请先载入 K 线文件');
+    valid = false;
   }
-  result.push(current.trim());
-  
-  return result;
-}
-
-// 从CSV行提取交易数据 (兼容旧格式)
-function extractTradeFromRow(columns, format) {
-  switch (format) {
-    case 'simple':
-      return parseSimpleFormat(columns);
-    case 'full':
-    case 'zh_full':
-      return parseFullFormat(columns);
-    case 'position':
-    default:
-      return parsePositionFormat(columns);
-  }
-}
-
-// 格式1: 简单格式 - 时间,开仓,平仓,方向
-function parseSimpleFormat(columns) {
-  // 列: 时间, 开仓价, 平仓价, 方向(buy/sell或多/空)
-  // 或: 时间, 类型(开仓/平仓), 品种, 方向, 价格
-  
-  // 尝试找到开仓和平仓价格
-  let entry = null, exit = null, direction = 'long';
-  
-  for (let i = 0; i < columns.length; i++) {
-    const col = columns[i].toLowerCase();
-    const val = parseFloat(columns[i]);
-    
-    if (!isNaN(val) && val > 0) {
-      // 根据列名或位置判断
-      if (col.includes('开仓') || col.includes('entry') || col.includes('open')) {
-        if (entry === null) entry = val;
-      }
-      if (col.includes('平仓') || col.includes('exit') || col.includes('close')) {
-        if (exit === null) exit = val;
-      }
-    }
-    
-    // 方向
-    if (col.includes('买') || col.includes('long') || col.includes('buy')) {
-      direction = 'long';
-    } else if (col.includes('卖') || col.includes('short') || col.includes('sell')) {
-      direction = 'short';
-    }
+  if (rules.entry.type === 'ma-cross' && !(rules.entry.fast >= 1 && rules.entry.slow > rules.entry.fast)) {
+    fieldError($('#replaySlow'), '慢线周期需大于快线周期');
+    $('#replayFast').classList.add('invalid');
+    valid = false;
   }
-  
-  // 如果没有通过列名找到，尝试位置匹配
-  if (entry === null || exit === null) {
-    const nums = columns.filter(c => !isNaN(parseFloat(c)) && parseFloat(c) > 0).map(c => parseFloat(c));
-    if (nums.length >= 2) {
-      // 假设第一列是开仓，第二列是平仓
-      entry = nums[0];
-      exit = nums[1];
-    }
+  if (rules.entry.type === 'breakout' && !(rules.entry.period >= 1)) {
+    fieldError($('#replayPeriod'), '突破周期至少为 1');
+    valid = false;
   }
-  
-  if (entry && exit) {
-    return { entry, exit, direction };
-  }
-  return null;
-}
-
-// 格式2: 完整格式 - 需要配对开仓和平仓
-function parseFullFormat(columns) {
-  // 找关键列
-  let time, type, symbol, direction, price;
-  
-  for (let i = 0; i < columns.length; i++) {
-    const col = columns[i].toLowerCase().replace(/"/g, '');
-    
-    if (col === 'time' || col === '时间' || col === 'date') time = columns[i];
-    if (col === 'type' || col === '类型') type = columns[i];
-    if (col === 'symbol' || col === '品种' || col === '产品') symbol = columns[i];
-    if (col === 'direction' || col === '方向') direction = columns[i];
-    if (col === 'price' || col === '价格' || col === 'exec price') price = parseFloat(columns[i]);
-  }
-  
-  // 如果没找到，根据位置推断
-  if (price === undefined || isNaN(price)) {
-    // 尝试找数字列
-    for (const c of columns) {
-      const n = parseFloat(c);
-      if (!isNaN(n) && n > 0) {
-        price = n;
-        break;
-      }
+  ['#replayTP', '#replaySL', '#replayTrail'].forEach(id => {
+    const value = $(id).value;
+    if (value !== '' && !(parseFloat(value) > 0)) {
+      fieldError($(id), '需为正数，留空表示不设');
+      valid = false;
+    } else if (value !== '' && $(`${id}Unit`).value === 'points' && !(rules.pointSize > 0)) {
+      fieldError($(id), '当前品种未设置点值，请改用 % 或在自定义品种中填写点值');
+      valid = false;
     }
-  }
-  
-  if (price === undefined || isNaN(price)) return null;
-  
-  // 判断是多还是空
-  let dir = 'long';
-  if (direction) {
-    const d = direction.toLowerCase();
-    if (d.includes('sell') || d.includes('short') || d.includes('卖')) dir = 'short';
-  }
-  
-  return {
-    entry: price,
-    exit: price,
-    direction: dir,
-    time,
-    type,
-    symbol
-  };
+  });
+  return valid ? rules : null;
 }
 
-// 格式3: 位置匹配格式 (默认)
-function parsePositionFormat(columns) {
-  // 尝试从列位置提取数据
-  // 假设格式: 时间, 开仓价, 平仓价, 方向
-  // 或者: 时间, 类型, 价格, 方向
-  
-  const nums = [];
-  let direction = 'long';
-  
-  for (let i = 0; i < columns.length; i++) {
-    const val = parseFloat(columns[i].replace(/"/g, ''));
-    if (!isNaN(val) && val > 0) {
-      nums.push(val);
-    }
-    
-    const lower = columns[i].toLowerCase();
-    if (lower.includes('sell') || lower.includes('short') || lower.includes('卖')) {
-      direction = 'short';
-    }
-  }
-  
-  // 至少需要两个价格
-  if (nums.length < 2) return null;
-  
-  // 第一笔作为开仓，后续作为平仓（需要配对处理）
-  // 这里简化处理：返回第一对价格
-  return {
-    entry: nums[0],
-    exit: nums[1],
-    direction
-  };
-}
+function runReplayFromForm() {
+  clearValidation();
+  const rules = readReplayRules();
+  if (!rules) return;
 
-// 配对开仓和平仓记录（用于完整格式）
-function pairTrades(records) {
-  const pairs = [];
-  const stack = [];
-  
-  for (const rec of records) {
-    if (rec.type && rec.type.toLowerCase().includes('open')) {
-      stack.push(rec);
-    } else if (rec.type && rec.type.toLowerCase().includes('close')) {
-      if (stack.length > 0) {
-        const open = stack.pop();
-        pairs.push({
-          entry: open.price,
-          exit: rec.price,
-          direction: open.direction
-        });
-      }
-    }
+  const trades = replayBars(loadedBars.bars, rules);
+  if (trades.length === 0) {
+    showBarsStatus(`${loadedBars.name}：按当前规则没有产生交易（${ENTRY_RULES[rules.entry.type]}）`, 'info');
+    return;
   }
-  
-  return pairs;
+  fillTradeRows(trades);
+  showBarsStatus(`${loadedBars.name}：${ENTRY_RULES[rules.entry.type]}生成 ${trades.length} 笔交易`, 'success');
+  calculate();
 }
+
+$('#runReplay').addEventListener('click', runReplayFromForm);
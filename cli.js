@@ -0,0 +1,239 @@
+// 命令行批量计算：读取参数 JSON 与交易记录 CSV，输出逐笔结果
+// 用法：node cli.js --params params.json --trades trades.csv [--format table|json|csv] [--profile mt4]
+//       node cli.js --params params.json --bars bars.csv（按 params.replay 规则回放 K 线生成交易）
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  LeverageCalculator, CSV_PROFILES, calcStatistics, maxDrawdown, performanceCurve,
+  parseCSVTable, resolveColumns, detectCSVProfile, extractTrades, resultRows, toCSV, tradeIssues,
+  ENTRY_RULES, extractBars, replayBars,
+} from './engine.js';
+import { BROKER_PRESETS, presetCatalog, normalizeCatalog, catalogInstruments } from './instruments.js';
+
+const USAGE = `用法：node cli.js --params <参数.json> --trades <交易.csv> [选项]
+      node cli.js --params <参数.json> --bars <K线.csv> [选项]
+
+选项：
+  -p, --params <file>    计算参数 JSON（LeverageCalculator 构造参数）
+  -t, --trades <file>    交易记录 CSV（自动识别格式）
+  -b, --bars <file>      OHLC K 线 CSV，按参数中的 replay 规则生成交易
+  -c, --catalog <file>   品种目录 JSON（页面导出），或预设 ${Object.keys(BROKER_PRESETS).join(' / ')}
+  -f, --format <type>    输出格式：table（默认）/ json / csv
+      --profile <id>     指定 CSV 格式：${CSV_PROFILES.map(p => p.id).join(' / ')}
+  -h, --help             显示帮助`;
+
+// 与页面默认值一致
+const DEFAULT_PARAMS = {
+  lotStep: 0.01,
+  marginRatio: 2,
+  direction: 'long',
+  compounding: true,
+  marginCallLevel: 100,
+  stopOutLevel: 50,
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+
+function fail(message) {
+  console.error(`错误：${message}`);
+  process.exit(1);
+}
+
+function readText(file, label) {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (err) {
+    fail(`无法读取${label} ${file}：${err.message}`);
+  }
+}
+
+// 预设 id 或页面导出的目录 JSON
+function loadCatalog(value) {
+  if (BROKER_PRESETS[value]) return presetCatalog(value);
+  try {
+    return normalizeCatalog(JSON.parse(readText(value, '品种目录')));
+  } catch (err) {
+    fail(`品种目录无效：${err.message}`);
+  }
+}
+
+// 目录品种补入 params.instruments（参数中同名品种优先），params.symbol 在目录中时其规格作为全局品种参数的默认值
+function loadParams(file, catalogArg) {
+  let params;
+  try {
+    params = JSON.parse(readText(file, '参数文件'));
+  } catch (err) {
+    fail(`参数文件不是有效的 JSON：${err.message}`);
+  }
+  if (catalogArg) {
+    const instruments = catalogInstruments(loadCatalog(catalogArg));
+    const spec = instruments[String(params.symbol || '').toUpperCase()];
+    params = { ...spec, ...params, instruments: { ...instruments, ...params.instruments } };
+  }
+  params = { ...DEFAULT_PARAMS, ...params };
+  ['principal', 'leverage', 'contractSize'].forEach(k => {
+    if (!(params[k] > 0)) fail(`参数 ${k} 必须为正数`);
+  });
+  if (params.concurrent && (params.cashFlows?.length > 0 || params.withdrawRule)) {
+    fail('并发持仓模式暂不支持出入金（cashFlows / withdrawRule），请去掉其一');
+  }
+  return params;
+}
+
+// params.instruments 为 { 品种名: 品种参数 }，按先全等、再最长前缀匹配交易的品种
+function matchInstrument(instruments, rawSymbol) {
+  if (!instruments || !rawSymbol) return null;
+  const s = rawSymbol.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const names = Object.keys(instruments);
+  const name = names.find(n => n.toUpperCase() === s)
+    || names.filter(n => s.startsWith(n.toUpperCase())).sort((a, b) => b.length - a.length)[0];
+  return name ? { symbol: name, ...instruments[name] } : null;
+}
+
+function loadTrades(file, profileId, params) {
+  const table = parseCSVTable(readText(file, '交易记录'));
+  if (!table) fail('CSV 中没有数据行');
+
+  const profile = profileId
+    ? CSV_PROFILES.find(p => p.id === profileId)
+    : detectCSVProfile(table.headers);
+  if (!profile) {
+    fail(profileId ? `未知的 CSV 格式 ${profileId}` : '无法识别 CSV 格式，请用 --profile 指定');
+  }
+
+  const { trades, skipped } = extractTrades(table, profile.layout, resolveColumns(table.headers, profile.columns));
+  trades.forEach(t => { t.instrument = matchInstrument(params.instruments, t.symbol); });
+  return { profile, trades, skipped };
+}
+
+// params.replay：{ entry: { type, fast, slow, period, direction }, takeProfit, stopLoss, trailingStop, maxBars }
+function loadReplay(file, params) {
+  const rules = params.replay;
+  if (!rules || !ENTRY_RULES[rules.entry?.type]) {
+    fail(`参数文件缺少 replay 规则，或入场规则不是 ${Object.keys(ENTRY_RULES).join(' / ')}`);
+  }
+  const table = parseCSVTable(readText(file, 'K 线文件'));
+  const parsed = table && extractBars(table);
+  if (!parsed || parsed.bars.length < 2) fail('未找到有效的 K 线（需包含时间、开、高、低、收列）');
+
+  const usesPoints = ['takeProfit', 'stopLoss', 'trailingStop'].some(k => rules[k]?.value > 0 && rules[k].unit !== 'pct');
+  if (usesPoints && !(params.pointSize > 0)) fail('按点数设置止盈止损时需在参数中提供 pointSize');
+
+  const trades = replayBars(parsed.bars, { pointSize: params.pointSize, ...rules, entry: { direction: 'both', ...rules.entry } });
+  const profile = { id: 'replay', name: `K 线回放（${ENTRY_RULES[rules.entry.type]}，${parsed.bars.length} 根）` };
+  return { profile, trades, skipped: parsed.skipped };
+}
+
+// 终端中全角字符占两列
+function displayWidth(text) {
+  return [...text].reduce((w, ch) => w + (ch.codePointAt(0) > 0x2e80 ? 2 : 1), 0);
+}
+
+function pad(text, width, alignRight) {
+  const fill = ' '.repeat(Math.max(0, width - displayWidth(text)));
+  return alignRight ? fill + text : text + fill;
+}
+
+function formatTable(data) {
+  const money = (v) => (v < 0 ? '-$' : '$') + Math.abs(v).toFixed(2);
+  const head = ['#', '品种', '方向', '入场 → 出场', '手数', '保证金', '杠杆', '净盈亏', '余额', '标记'];
+  const rows = data.results.map((r, i) => [
+    String((r.tradeIndex ?? i) + 1),
+    r.symbol || '-',
+    r.direction === 'long' ? '多' : '空',
+    `${r.entry} → ${+(r.rejected ? r.plannedExit : r.exit).toFixed(6)}`,
+    r.lots.toFixed(2),
+    money(r.margin),
+    r.effectiveLeverage.toFixed(2) + 'x',
+    (r.profit >= 0 ? '+' : '') + money(r.profit),
+    money(r.balanceAfter),
+    r.rejected ? '拒绝' : r.liquidated ? '强平' : r.marginCalled ? '追保' : '',
+  ]);
+  const widths = head.map((h, c) => Math.max(displayWidth(h), ...rows.map(row => displayWidth(row[c]))));
+  const alignRight = (c) => c === 0 || (c >= 4 && c <= 8);
+  const line = (row) => row.map((v, c) => pad(v, widths[c], alignRight(c))).join('  ').trimEnd();
+
+  const st = calcStatistics(data.results, performanceCurve(data));
+  const ratio = (v) => v === Infinity ? '∞' : v.toFixed(2);
+  const issues = tradeIssues(data.results);
+  return [
+    line(head),
+    widths.map(w => '-'.repeat(w)).join('  '),
+    ...rows.map(line),
+    '',
+    `最终净值 ${money(data.finalBalance)}（${data.navCurve ? '时间加权 ' : ''}${data.totalReturn >= 0 ? '+' : ''}${data.totalReturn.toFixed(2)}%）`
+      + (data.navCurve ? ` · 累计存入 ${money(data.totalDeposited)} / 提取 ${money(data.totalWithdrawn)}` : '')
+      + ` · 最大回撤 ${st.maxDrawdownPct.toFixed(2)}% · 交易成本 ${money(data.totalCosts)}`,
+    `胜率 ${st.winRate.toFixed(1)}% · 盈利因子 ${ratio(st.profitFactor)} · 强平 ${data.liquidations} / 追保 ${data.marginCalls}`
+      + (data.ruined ? ` · 余额归零，剩余 ${data.skippedTrades} 笔未执行` : ''),
+    ...(issues.length > 0 ? ['', ...issues.map(it => `#${it.trade} ${it.level === 'error' ? '拒绝' : '警告'}：${it.message}`)] : []),
+  ].join('\n');
+}
+
+function formatJSON(data, profile, skipped) {
+  const { results, balanceCurve, ...summary } = data;
+  return JSON.stringify({
+    source: profile.id,
+    summary: { ...summary, maxDrawdownPct: maxDrawdown(performanceCurve(data)).maxDDPct },
+    statistics: calcStatistics(results, performanceCurve(data)),
+    issues: tradeIssues(results),
+    balanceCurve,
+    results,
+    skipped,
+  }, null, 2);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      options: {
+        params: { type: 'string', short: 'p' },
+        trades: { type: 'string', short: 't' },
+        bars: { type: 'string', short: 'b' },
+        catalog: { type: 'string', short: 'c' },
+        format: { type: 'string', short: 'f', default: 'table' },
+        profile: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }).values;
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!args.params || !(args.trades || args.bars)) fail(`缺少 --params，或 --trades / --bars\n\n${USAGE}`);
+  if (args.trades && args.bars) fail('--trades 与 --bars 只能指定一个');
+  if (!FORMATS.includes(args.format)) fail(`未知的输出格式 ${args.format}（可选 ${FORMATS.join(' / ')}）`);
+
+  const params = loadParams(args.params, args.catalog);
+  const { profile, trades, skipped } = args.bars
+    ? loadReplay(args.bars, params)
+    : loadTrades(args.trades, args.profile, params);
+  if (trades.length === 0) fail(`${profile.name}：未找到有效的交易记录`);
+  // 导入数量的单位：实际成交定仓与按规则定仓时的手续费折算共用；手续费币种随格式而定
+  if (!params.quantityUnit) params.quantityUnit = profile.quantityUnit;
+  if (!params.feeCurrency) params.feeCurrency = profile.feeCurrency;
+
+  let data;
+  try {
+    data = new LeverageCalculator(params).run(trades);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  if (args.format === 'json') {
+    console.log(formatJSON(data, profile, skipped));
+  } else if (args.format === 'csv') {
+    process.stdout.write(toCSV(resultRows(data.results)));
+  } else {
+    console.log(`${profile.name}：${trades.length} 笔交易${skipped.length ? `，跳过 ${skipped.length} 行` : ''}\n`);
+    console.log(formatTable(data));
+  }
+}
+
+main();
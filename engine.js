@@ -0,0 +1,2249 @@
+// 杠杆计算引擎与交易记录解析：不依赖 DOM，页面 (calculator.js) 与命令行 (cli.js) 共用
+
+// ═══════════════════════════════════════
+//  Core Calculation Engine
+// ═══════════════════════════════════════
+
+export class LeverageCalculator {
+  constructor(params) {
+    this.principal = params.principal;
+    // 品种杠杆上限 maxLeverage 与手数范围 minLot / maxLot 来自品种目录，0 表示不限
+    this.accountLeverage = params.leverage;
+    this.maxLeverage = params.maxLeverage || 0;
+    this.leverage = this.maxLeverage > 0 ? Math.min(params.leverage, this.maxLeverage) : params.leverage;
+    this.symbol = params.symbol || '';
+    this.contractSize = params.contractSize;
+    this.lotStep = params.lotStep;
+    this.minLot = params.minLot || 0;
+    this.maxLot = params.maxLot || 0;
+    this.marginRatio = params.marginRatio / 100;
+    this.direction = params.direction;
+    this.compounding = params.compounding;
+    this.accountCurrency = params.accountCurrency || 'USD';
+    this.baseCurrency = params.baseCurrency || '';
+    this.quoteCurrency = params.quoteCurrency || this.accountCurrency;
+    this.quoteRate = params.quoteRate || 0;
+    this.sizingMode = params.sizingMode || 'margin';
+    this.riskPct = (params.riskPct || 0) / 100;
+    // 仓位策略参数（见 SIZING_MODES），回撤降仓 ddThreshold 为 0 时关闭
+    this.fixedLots = params.fixedLots || 0;
+    this.fixedMargin = params.fixedMargin || 0;
+    this.kellyFraction = (params.kellyFraction ?? 50) / 100;
+    this.kellyWindow = params.kellyWindow || 20;
+    this.streakFactor = params.streakFactor || 2;
+    this.streakMax = params.streakMax ?? 3;
+    this.ddThreshold = (params.ddThreshold || 0) / 100;
+    this.ddFactor = (params.ddFactor ?? 50) / 100;
+    this.useTradedQuantity = !!params.useTradedQuantity;
+    this.quantityUnit = params.quantityUnit || 'lots';
+    // 导入手续费的币种：account 为账户货币，quote 为报价货币（按报价货币汇率换算）
+    this.feeCurrency = params.feeCurrency || 'account';
+    this.pointSize = params.pointSize || 0;
+    this.spreadPoints = params.spreadPoints || 0;
+    this.commissionPerLot = params.commissionPerLot || 0;
+    this.swapLong = params.swapLong || 0;
+    this.swapShort = params.swapShort || 0;
+    this.marginCallLevel = (params.marginCallLevel ?? 100) / 100;
+    this.stopOutLevel = (params.stopOutLevel ?? 100) / 100;
+    this.concurrent = !!params.concurrent;
+    // 永续合约：{ settlement, marginMode, faceValue, fundingRate, fundingIntervalHours, tiers }，为空时按差价合约计算
+    this.perp = params.perp ? resolvePerp(params.perp) : null;
+    // 出入金：cashFlows 为 [{ after: 第几笔之后（0 为首笔之前）, amount: 正数存入 / 负数取出 }]
+    // withdrawRule 为 { mode: 'profit' | 'highWater', every: 每几笔, pct: 提取比例% }，仅逐笔序列 (run) 生效
+    this.cashFlows = (params.cashFlows || []).filter(f => f.amount && f.after >= 0);
+    this.withdrawRule = WITHDRAW_MODES[params.withdrawRule?.mode] ? {
+      mode: params.withdrawRule.mode,
+      every: Math.max(1, Math.floor(params.withdrawRule.every) || 1),
+      pct: (params.withdrawRule.pct ?? 100) / 100,
+    } : null;
+  }
+
+  // 单笔交易使用独立品种时，派生一个覆盖品种参数的计算器
+  // 报价货币不同时全局汇率不再适用；品种杠杆上限同时约束账户杠杆与逐笔杠杆
+  // 点差按品种自身的 pointSize 计，不沿用全局品种的点差（品种未设置时为 0）
+  forInstrument(inst) {
+    const calc = Object.create(this);
+    calc.spreadPoints = inst.spreadPoints || 0;
+    ['symbol', 'contractSize', 'lotStep', 'minLot', 'maxLot', 'maxLeverage', 'baseCurrency', 'quoteCurrency', 'pointSize'].forEach(k => {
+      if (inst[k] !== undefined && inst[k] !== null) calc[k] = inst[k];
+    });
+    const leverage = inst.leverage ?? this.accountLeverage;
+    calc.leverage = calc.maxLeverage > 0 ? Math.min(leverage, calc.maxLeverage) : leverage;
+    if (calc.quoteCurrency !== this.quoteCurrency) calc.quoteRate = 0;
+    return calc;
+  }
+
+  // 向下取整到最小手数步进，不足一个步进时为 0（由调用方拒绝建仓）
+  floorToStep(value) {
+    return Math.max(0, Math.floor(value / this.lotStep) * this.lotStep);
+  }
+
+  // 可下单的最小手数
+  minLotSize() {
+    return Math.max(this.lotStep, this.minLot);
+  }
+
+  // 报价货币 → 账户货币汇率 (1 单位报价货币 = rate 单位账户货币)
+  // 优先级：单笔汇率 > 全局汇率 > 自动推导（报价货币即账户货币为 1，基础货币为账户货币时取 1/价格）
+  resolveQuoteRate(price, tradeRate) {
+    if (tradeRate > 0) return tradeRate;
+    if (this.quoteCurrency === this.accountCurrency) return 1;
+    if (this.quoteRate > 0) return this.quoteRate;
+    if (this.baseCurrency === this.accountCurrency && price > 0) return 1 / price;
+    return 1;
+  }
+
+  needsQuoteRate() {
+    return this.quoteCurrency !== this.accountCurrency
+      && this.baseCurrency !== this.accountCurrency;
+  }
+
+  // 每手对应的标的数量；币本位永续每张为固定美元面值，折合的币数随价格变化
+  unitsPerLot(entry) {
+    return this.perp?.settlement === 'inverse' ? this.perp.faceValue / entry : this.contractSize;
+  }
+
+  // 入场价到止损价的不利距离，止损缺失或在盈利一侧时返回 0
+  stopDistance(entry, stopLoss, direction) {
+    if (!(stopLoss > 0)) return 0;
+    const dist = direction === 'long' ? entry - stopLoss : stopLoss - entry;
+    return dist > 0 ? dist : 0;
+  }
+
+  // 单笔交易成本：点差按入场一次性计，佣金按开平两边计，隔夜利息为正表示收取，fee 为导入的实际手续费
+  // 导入的手续费在实际成交模式下照计，按规则重新定仓时按 建仓数量 / 导入数量 折算；报价货币计的手续费按汇率换算
+  calcCosts(lots, units, entryRate, direction, opts = {}) {
+    const spreadPoints = Number.isFinite(opts.spreadPoints) ? opts.spreadPoints : this.spreadPoints;
+    const nights = opts.nights || 0;
+    const swapRate = direction === 'long' ? this.swapLong : this.swapShort;
+
+    const spreadCost = units * spreadPoints * this.pointSize * entryRate;
+    const commission = lots * this.commissionPerLot * 2;
+    const swap = lots * nights * swapRate;
+    const feeRate = this.feeCurrency === 'quote' ? entryRate : 1;
+    const fee = opts.fee && opts.quantity > 0 && !this.useTradedQuantity
+      ? opts.fee * (this.quantityUnit === 'units' ? units : lots) / opts.quantity * feeRate
+      : (opts.fee || 0) * feeRate;
+
+    return {
+      spreadPoints,
+      nights,
+      spreadCost,
+      commission,
+      swap,
+      fee,
+      totalCost: spreadCost + commission + fee - swap,
+    };
+  }
+
+  // 保证金水平 (净值 / 保证金) 降到 level 时的价格
+  levelPrice(balance, margin, units, entry, entryRate, direction, level) {
+    const room = units > 0 ? (balance - margin * level) / (units * entryRate) : 0;
+    return direction === 'long' ? entry - room : entry + room;
+  }
+
+  // 价格是否触及或越过某个不利价位
+  crosses(price, level, direction) {
+    return direction === 'long' ? price <= level : price >= level;
+  }
+
+  // 按 balance 计算建仓手数与保证金（品种参数取自当前计算器）
+  sizePosition(balance, entry, direction, opts = {}) {
+    const entryRate = this.resolveQuoteRate(entry, opts.quoteRate);
+    const stopDist = this.stopDistance(entry, opts.stopLoss, direction);
+    const stopRate = stopDist > 0 ? this.resolveQuoteRate(opts.stopLoss, opts.quoteRate) : 0;
+
+    // 实际成交：沿用导入数量且不取整；缺少数量的交易按当前规则计算
+    const lotUnits = this.unitsPerLot(entry);
+    const tradedLots = this.useTradedQuantity && opts.quantity > 0
+      ? (this.quantityUnit === 'units' ? opts.quantity / lotUnits : opts.quantity)
+      : 0;
+
+    const rule = tradedLots ? { sizing: 'traded', rawLots: tradedLots }
+      : this.strategyLots(balance, { entry, entryRate, lotUnits, stopDist, stopRate }, opts.sizingState);
+    const { sizing, rawLots } = rule;
+    // 按规则计算的手数不足最小手数时为 0（拒绝建仓），超过最大手数时按最大手数建仓；实际成交数量不受限
+    let lots = tradedLots || this.floorToStep(rawLots);
+    const maxLotCapped = !tradedLots && this.maxLot > 0 && lots > this.maxLot;
+    if (maxLotCapped) lots = this.maxLot;
+    if (!tradedLots && lots < this.minLotSize() - 1e-9) lots = 0;
+    const units = lots * lotUnits;
+    const margin = (units * entry * entryRate) / this.leverage;
+    const tradeCapital = rule.capital ?? margin;
+
+    return {
+      entry, direction, opts, entryRate, stopDist, stopRate, sizing, rawLots, lots, units, margin, tradeCapital, maxLotCapped,
+      sizingFactor: rule.sizingFactor, kellyPct: rule.kellyPct,
+    };
+  }
+
+  // 按仓位策略计算未取整的手数；state 为序列中此前交易的统计（newSizingState），单笔计算时为空
+  // 风险模式：止损触发时亏损 = 余额 × 风险%，无有效止损时退回持仓比例模式
+  // 凯利与连胜 / 连败加码以持仓比例为基础，统计不足时按持仓比例；回撤降仓在任一策略的手数上再乘系数
+  strategyLots(balance, { entry, entryRate, lotUnits, stopDist, stopRate }, state) {
+    const lotsFor = (capital) => (capital * this.leverage) / (lotUnits * entry * entryRate);
+    const mode = this.sizingMode;
+    const capital = balance * this.marginRatio;
+    let rule = { sizing: 'margin', rawLots: lotsFor(capital), capital };
+    if (mode === 'risk' && stopDist > 0) {
+      rule = { sizing: 'risk', rawLots: (balance * this.riskPct) / (lotUnits * stopDist * stopRate) };
+    } else if (mode === 'fixedLot') {
+      rule = { sizing: mode, rawLots: this.fixedLots };
+    } else if (mode === 'fixedMargin') {
+      rule = { sizing: mode, rawLots: lotsFor(this.fixedMargin) };
+    } else if (mode === 'kelly') {
+      const kelly = state ? kellyCriterion(state.returns.slice(-this.kellyWindow)) : null;
+      // 名义价值 = 余额 × 凯利比例 × 分数，最多用满全部余额作保证金
+      if (kelly !== null) {
+        const pct = Math.min(Math.max(kelly * this.kellyFraction, 0), this.leverage);
+        rule = { sizing: mode, rawLots: (balance * pct) / (lotUnits * entry * entryRate), kellyPct: pct * 100 };
+      }
+    } else if ((mode === 'antiMartingale' || mode === 'martingale') && state) {
+      const streak = mode === 'martingale' ? state.lossStreak : state.winStreak;
+      const factor = this.streakFactor ** Math.min(streak, this.streakMax);
+      rule = { sizing: mode, rawLots: rule.rawLots * factor, capital: capital * factor, ...(factor !== 1 && { sizingFactor: factor }) };
+    }
+
+    if (this.ddThreshold > 0 && state && state.balance <= state.peak * (1 - this.ddThreshold)) {
+      rule = {
+        ...rule,
+        rawLots: rule.rawLots * this.ddFactor,
+        capital: rule.capital && rule.capital * this.ddFactor,
+        sizingFactor: (rule.sizingFactor || 1) * this.ddFactor,
+      };
+    }
+    return rule;
+  }
+
+  // 仓位策略的序列状态：余额与历史最高余额、连胜 / 连败次数、此前交易的计划收益率
+  newSizingState() {
+    return { balance: this.principal, peak: this.principal, winStreak: 0, lossStreak: 0, returns: [] };
+  }
+
+  // 交易结束后更新状态：连胜 / 连败只看已建仓的交易，凯利统计按计划出场价的价格收益率（含被拒绝的交易）
+  updateSizingState(state, result, balance) {
+    if (!result.rejected && result.profit !== 0) {
+      const win = result.profit > 0;
+      state.winStreak = win ? state.winStreak + 1 : 0;
+      state.lossStreak = win ? 0 : state.lossStreak + 1;
+    }
+    const move = (result.plannedExit - result.entry) / result.entry;
+    state.returns.push(result.direction === 'long' ? move : -move);
+    state.balance = balance;
+    state.peak = Math.max(state.peak, balance);
+  }
+
+  // 出入金账本，未设置出入金时为 null
+  // capital 为本金加净存取款（非复利的仓位基数），base 为提取规则的基准余额，growth 为剔除出入金后的累计增长倍数
+  newCashLedger() {
+    if (this.cashFlows.length === 0 && !this.withdrawRule) return null;
+    return {
+      events: [], deposited: 0, withdrawn: 0,
+      capital: this.principal, base: this.principal, growth: 1,
+      navCurve: [this.principal], withdrawnCurve: [],
+    };
+  }
+
+  // 第 count 笔交易之后（0 为首笔之前）执行到期的存取款与定期提取，返回执行后的余额；取款不超过当时余额
+  // 提取超过基准部分的 pct，提取后基准为提取后余额；未超过时不提取且基准不变，亏损须先由之后的盈利补回
+  // 按期提取利润 (profit)：基准只在提取时点更新
+  // 高水位提取 (highWater)：非提取时点的余额新高同样抬高基准；存取款同步平移基准
+  applyCashFlows(ledger, count, balance) {
+    const record = (type, amount) => {
+      ledger.events.push({ after: count, type, amount, balanceBefore: balance, balanceAfter: balance + amount });
+      if (amount > 0) ledger.deposited += amount;
+      else ledger.withdrawn -= amount;
+      balance += amount;
+    };
+
+    this.cashFlows.filter(f => f.after === count).forEach(f => {
+      const amount = Math.max(f.amount, -balance);
+      record(f.amount > 0 ? 'deposit' : 'withdraw', amount);
+      ledger.capital = Math.max(0, ledger.capital + amount);
+      ledger.base = Math.max(0, ledger.base + amount);
+    });
+
+    const rule = this.withdrawRule;
+    if (rule && count > 0 && count % rule.every === 0) {
+      const excess = balance - ledger.base;
+      if (excess > 0) {
+        if (rule.pct > 0) record('sweep', -excess * rule.pct);
+        ledger.base = balance;
+      }
+    } else if (rule?.mode === 'highWater') {
+      ledger.base = Math.max(ledger.base, balance);
+    }
+
+    ledger.withdrawnCurve[count] = ledger.withdrawn;
+    return balance;
+  }
+
+  // 无法建仓的原因：凯利比例不为正 (noEdge)、资金不足以开最小手数 (minLot) 或所需保证金超过可用资金 (margin)，可建仓时返回 null
+  rejectReason(pos, available) {
+    if (pos.sizing === 'kelly' && !(pos.kellyPct > 0)) return 'noEdge';
+    if (!(pos.units > 0)) return 'minLot';
+    if (pos.margin > available + 1e-9) return 'margin';
+    return null;
+  }
+
+  // 被拒绝的交易：不建仓、不计盈亏，记录所需手数与保证金；account 为 { balance, available, plannedExit }
+  rejectTrade(pos, reason, { balance, available, plannedExit }) {
+    const requiredLots = pos.lots > 0 ? pos.lots : this.minLotSize();
+    const requiredMargin = (requiredLots * this.unitsPerLot(pos.entry) * pos.entry * pos.entryRate) / this.leverage;
+    const empty = { ...pos, lots: 0, units: 0, margin: 0, maxLotCapped: false, opts: { ...pos.opts, fee: 0, nights: 0 } };
+    const result = this.settle(empty, pos.entry, {
+      balance,
+      freeMargin: available,
+      liquidationPrice: null,
+      marginCallPrice: null,
+      marginCalled: false,
+      liquidated: false,
+      plannedExit,
+      worstPrice: null,
+    });
+    return {
+      ...result,
+      maxDDPrice: null,
+      maxDDPct: null,
+      stopBeyondLiquidation: false,
+      rejected: reason,
+      sizedLots: pos.sizing === 'traded' ? pos.lots : pos.rawLots,
+      requiredLots,
+      requiredMargin,
+      availableMargin: available,
+      maxLeverage: this.leverage,
+    };
+  }
+
+  // 以 closePrice 平仓并汇总单笔结果，account 为建仓时的账户状态与强平判定
+  settle(pos, closePrice, account) {
+    const { entry, direction, opts, entryRate, stopDist, stopRate, lots, units, margin } = pos;
+    const { balance, liquidationPrice } = account;
+    const contractValue = units * entry * entryRate;
+    const exitRate = this.resolveQuoteRate(closePrice, opts.quoteRate);
+
+    const priceDiff = direction === 'long' ? closePrice - entry : entry - closePrice;
+    const profitQuote = units * priceDiff;
+    const grossProfit = profitQuote * exitRate;
+    const costs = this.calcCosts(lots, units, entryRate, direction, opts);
+    if (this.perp) Object.assign(costs, this.perpCosts(pos, costs, account));
+    const profit = grossProfit - costs.totalCost;
+    const maxDDPrice = Math.abs(entry - liquidationPrice);
+
+    const plannedRisk = units * stopDist * stopRate;
+    const stopBeyondLiquidation = stopDist > 0 && (direction === 'long'
+      ? opts.stopLoss <= liquidationPrice
+      : opts.stopLoss >= liquidationPrice);
+
+    return {
+      symbol: this.symbol,
+      direction,
+      sizing: pos.sizing,
+      balanceBefore: balance,
+      tradeCapital: pos.tradeCapital,
+      lots: Math.round(lots * 1000) / 1000,
+      units,
+      margin,
+      contractValue,
+      effectiveLeverage: contractValue / balance,
+      entry,
+      exit: closePrice,
+      plannedExit: account.plannedExit,
+      worstPrice: account.worstPrice,
+      quoteCurrency: this.quoteCurrency,
+      entryRate,
+      exitRate,
+      profitQuote,
+      grossProfit,
+      ...costs,
+      profit,
+      profitPct: (profit / balance) * 100,
+      maxDDPrice,
+      maxDDPct: (maxDDPrice / entry) * 100,
+      liquidationPrice,
+      marginCallPrice: account.marginCallPrice,
+      marginCalled: account.marginCalled,
+      liquidated: account.liquidated,
+      freeMargin: account.freeMargin,
+      stopLoss: stopDist > 0 ? opts.stopLoss : null,
+      plannedRisk,
+      plannedRiskPct: (plannedRisk / balance) * 100,
+      rMultiple: plannedRisk > 0 ? profit / plannedRisk : null,
+      stopBeyondLiquidation,
+      rejected: null,
+      ...(pos.maxLotCapped && { sizedLots: pos.rawLots, maxLot: this.maxLot }),
+      ...(pos.sizingFactor && { sizingFactor: pos.sizingFactor }),
+      ...(pos.kellyPct !== undefined && { kellyPct: pos.kellyPct }),
+      balanceAfter: balance + profit,
+    };
+  }
+
+  // sizingBalance 为计算仓位的资金（非复利时为本金），保证金水平与盈亏比例仍按实际余额 balance
+  calcTrade(balance, entry, exit, direction, opts = {}, sizingBalance = balance) {
+    if (opts.instrument) {
+      return this.forInstrument(opts.instrument)
+        .calcTrade(balance, entry, exit, direction, { ...opts, instrument: null }, sizingBalance);
+    }
+    // 永续合约的强平价按维持保证金档位求解，暂不支持逐段加减仓
+    if (opts.legs?.length > 0 && this.perp) throw new Error('永续合约暂不支持加减仓（legs）');
+
+    const pos = this.sizePosition(sizingBalance, entry, direction, opts);
+    const rejected = this.rejectReason(pos, balance);
+    if (rejected) return this.rejectTrade(pos, rejected, { balance, available: balance, plannedExit: exit });
+
+    const { units, margin, entryRate } = pos;
+    // 永续合约逐仓只以仓位保证金承担亏损，全仓以账户余额承担；交易所直接强平，没有追加保证金环节
+    const liquidationPrice = this.perp
+      ? this.perpLiquidationPrice(pos, this.perp.marginMode === 'isolated' ? margin : balance)
+      : this.levelPrice(balance, margin, units, entry, entryRate, direction, this.stopOutLevel);
+    const marginCallPrice = this.perp
+      ? null
+      : this.levelPrice(balance, margin, units, entry, entryRate, direction, this.marginCallLevel);
+    if (opts.legs?.length > 0) return this.calcLeggedTrade(balance, pos, exit, opts);
+
+    // 持仓期间最差价 (MAE) 或出场价触及强平价时，按强平价平仓
+    const worstPrice = opts.worstPrice > 0 ? opts.worstPrice : null;
+    const adverse = worstPrice !== null && this.crosses(worstPrice, exit, direction) ? worstPrice : exit;
+    const liquidated = units > 0 && this.crosses(adverse, liquidationPrice, direction);
+    const marginCalled = units > 0 && marginCallPrice !== null && this.crosses(adverse, marginCallPrice, direction);
+
+    return this.settle(pos, liquidated ? liquidationPrice : exit, {
+      balance,
+      freeMargin: balance - margin,
+      liquidationPrice,
+      marginCallPrice,
+      marginCalled,
+      liquidated,
+      plannedExit: exit,
+      worstPrice,
+    });
+  }
+
+  // 加仓与分批平仓：legs 依次执行，最后以 exit 平掉剩余仓位
+  // 每段持仓按当时的均价、保证金与已实现盈亏计算强平价；最差价 (MAE) 按最不利情形处理，越过任一段的强平价即在该段强平
+  // 结果中的手数、保证金、合约价值与实际杠杆为持仓峰值，爆仓价取各段中离价格最近的一段
+  calcLeggedTrade(balance, pos, exit, opts) {
+    const { direction, entryRate } = pos;
+    const lotUnits = this.unitsPerLot(pos.entry);
+    const worstPrice = opts.worstPrice > 0 ? opts.worstPrice : null;
+    const diffAt = (price, avg) => direction === 'long' ? price - avg : avg - price;
+
+    let lots = pos.lots;
+    let avgEntry = pos.entry;
+    let margin = pos.margin;
+    let realized = 0;
+    let realizedQuote = 0;
+    let openedLots = pos.lots;
+    let openedValue = pos.lots * pos.entry;
+    let heldLots = 0;
+    let segments = 0;
+    let peak = { lots, margin, exposure: pos.units * pos.entry * entryRate };
+    let riskiest = null;
+    let liquidated = false;
+    let marginCalled = false;
+    let closePrice = exit;
+    const legs = [];
+
+    // 当前持仓的强平价与追保价，空仓时为 null
+    const levels = () => {
+      const units = lots * lotUnits;
+      if (!(units > 0)) return { liquidationPrice: null, marginCallPrice: null };
+      const equity = balance + realized;
+      return {
+        liquidationPrice: this.levelPrice(equity, margin, units, avgEntry, entryRate, direction, this.stopOutLevel),
+        marginCallPrice: this.levelPrice(equity, margin, units, avgEntry, entryRate, direction, this.marginCallLevel),
+      };
+    };
+    // 按 price 平掉 closeLots 手，返回该笔已实现盈亏（账户货币）
+    const close = (closeLots, price) => {
+      const quote = closeLots * lotUnits * diffAt(price, avgEntry);
+      const profit = quote * this.resolveQuoteRate(price, opts.quoteRate);
+      realizedQuote += quote;
+      realized += profit;
+      margin = lots > closeLots ? margin * (lots - closeLots) / lots : 0;
+      lots = Math.max(0, Math.round((lots - closeLots) * 1e8) / 1e8);
+      return profit;
+    };
+
+    for (const leg of [...opts.legs, { type: 'exit', price: exit }]) {
+      // 上一价位到 leg.price 之间的持仓段
+      const segment = { ...levels(), avgEntry };
+      if (segment.liquidationPrice !== null) {
+        heldLots += lots;
+        segments++;
+        if (!riskiest || !this.crosses(segment.liquidationPrice, riskiest.liquidationPrice, direction)) riskiest = segment;
+        const touches = (level) => [leg.price, worstPrice].some(p => p !== null && this.crosses(p, level, direction));
+        if (touches(segment.marginCallPrice)) marginCalled = true;
+        if (touches(segment.liquidationPrice)) {
+          liquidated = true;
+          riskiest = segment;
+          closePrice = segment.liquidationPrice;
+          const closedLots = lots;
+          const profit = close(lots, closePrice);
+          legs.push({ type: 'exit', price: closePrice, lots: closedLots, positionLots: 0, avgEntry, margin: 0, liquidationPrice: null, realized: profit, rejected: null, liquidated: true });
+          break;
+        }
+      }
+
+      const record = { type: leg.type, price: leg.price, lots: 0, realized: 0, rejected: null };
+      if (leg.type === 'add') {
+        let addLots = leg.lots ?? this.floorToStep(pos.lots * leg.pct / 100);
+        if (this.maxLot > 0 && lots + addLots > this.maxLot) {
+          addLots = this.floorToStep(this.maxLot - lots + 1e-9);
+          record.maxLotCapped = true;
+        }
+        const rate = this.resolveQuoteRate(leg.price, opts.quoteRate);
+        const addMargin = (addLots * lotUnits * leg.price * rate) / this.leverage;
+        const free = balance + realized + lots * lotUnits * diffAt(leg.price, avgEntry) * rate - margin;
+        if (addLots < this.minLotSize() - 1e-9) {
+          record.rejected = record.maxLotCapped ? 'maxLot' : 'minLot';
+        } else if (addMargin > free + 1e-9) {
+          Object.assign(record, { rejected: 'margin', requiredLots: addLots, requiredMargin: addMargin, availableMargin: free });
+        } else {
+          avgEntry = (avgEntry * lots + leg.price * addLots) / (lots + addLots);
+          lots += addLots;
+          margin += addMargin;
+          openedLots += addLots;
+          openedValue += addLots * leg.price;
+          record.lots = addLots;
+          const exposure = lots * lotUnits * avgEntry * entryRate;
+          if (exposure > peak.exposure) peak = { lots, margin, exposure };
+        }
+      } else {
+        const closeLots = leg.type === 'exit' || leg.pct >= 100
+          ? lots
+          : Math.min(lots, leg.lots ?? this.floorToStep(lots * leg.pct / 100 + 1e-9));
+        if (!(lots > 0)) {
+          if (leg.type !== 'exit') record.rejected = 'flat';
+        } else if (closeLots < this.lotStep - 1e-9) {
+          record.rejected = 'minLot';
+        } else {
+          record.lots = closeLots;
+          record.realized = close(closeLots, leg.price);
+        }
+      }
+      legs.push({ ...record, positionLots: lots, avgEntry, margin, liquidationPrice: levels().liquidationPrice });
+    }
+
+    // 成本：点差与佣金按累计开仓手数，隔夜利息按各段平均持仓手数
+    const costs = this.calcCosts(openedLots, openedLots * lotUnits, entryRate, direction, { ...opts, nights: 0 });
+    const swap = this.calcCosts(segments > 0 ? heldLots / segments : 0, 0, entryRate, direction, { nights: opts.nights }).swap;
+    Object.assign(costs, { nights: opts.nights || 0, swap, totalCost: costs.totalCost - swap });
+
+    const result = this.settle(pos, closePrice, {
+      balance,
+      freeMargin: balance - peak.margin,
+      liquidationPrice: riskiest.liquidationPrice,
+      marginCallPrice: riskiest.marginCallPrice,
+      marginCalled: marginCalled || liquidated,
+      liquidated,
+      plannedExit: exit,
+      worstPrice,
+    });
+    const profit = realized - costs.totalCost;
+    const maxDDPrice = Math.abs(riskiest.avgEntry - riskiest.liquidationPrice);
+    return {
+      ...result,
+      lots: Math.round(peak.lots * 1000) / 1000,
+      units: peak.lots * lotUnits,
+      margin: peak.margin,
+      contractValue: peak.exposure,
+      effectiveLeverage: peak.exposure / balance,
+      entryLots: pos.lots,
+      avgEntry: openedValue / openedLots,
+      legs,
+      exitRate: this.resolveQuoteRate(closePrice, opts.quoteRate),
+      profitQuote: realizedQuote,
+      grossProfit: realized,
+      ...costs,
+      profit,
+      profitPct: (profit / balance) * 100,
+      maxDDPrice,
+      maxDDPct: (maxDDPrice / riskiest.avgEntry) * 100,
+      rMultiple: result.plannedRisk > 0 ? profit / result.plannedRisk : null,
+      balanceAfter: balance + profit,
+    };
+  }
+
+  // 永续合约强平价：仓位净值（collateral + 浮动盈亏）降到该价位的维持保证金时强平，维持保证金按入场名义价值所在档位
+  // U 本位：collateral + s·u·(P − E) = u·P·mmr − cum
+  // 币本位（保证金与盈亏以币计）：c + s·Q·(1/E − 1/P) = Q·mmr / P − cum，Q 为美元面值合计，c 为折合币数的保证金
+  perpLiquidationPrice(pos, collateral) {
+    const { entry, direction, units, entryRate } = pos;
+    if (!(units > 0)) return direction === 'long' ? 0 : Infinity;
+    const s = direction === 'long' ? 1 : -1;
+    const tier = this.perpTier(pos);
+    const m = collateral / entryRate;
+    const price = this.perp.settlement === 'inverse'
+      ? (units * entry * (tier.mmr + s)) / (m / entry + tier.maintAmount + s * units)
+      : (m + tier.maintAmount - s * units * entry) / (units * tier.mmr - s * units);
+    // 保证金足以覆盖全部不利变动时不会强平
+    if (direction === 'long') return price > 0 ? price : 0;
+    return price > 0 ? price : Infinity;
+  }
+
+  // 维持保证金档位：U 本位按 USDT 名义价值，币本位按币数名义价值
+  perpTier(pos) {
+    const notional = this.perp.settlement === 'inverse' ? pos.units : pos.units * pos.entry;
+    return maintenanceTier(this.perp.tiers, notional);
+  }
+
+  // 资金费与强平清算费，计入交易成本：资金费为正表示支付
+  perpCosts(pos, costs, account) {
+    const { entry, direction, units, entryRate, opts } = pos;
+    const intervals = this.fundingCount(opts);
+    const sign = direction === 'long' ? 1 : -1;
+    const funding = units * entry * entryRate * (this.perp.fundingRate / 100) * intervals * sign;
+    // 强平时剩余的维持保证金归保险基金
+    const tier = this.perpTier(pos);
+    const price = account.liquidationPrice;
+    const liquidationFee = !account.liquidated || !(units > 0) ? 0
+      : this.perp.settlement === 'inverse'
+        ? (units * entry * tier.mmr - tier.maintAmount * price) * entryRate
+        : (units * price * tier.mmr - tier.maintAmount) * entryRate;
+    return {
+      marginMode: this.perp.marginMode,
+      maintenanceRate: tier.mmr * 100,
+      fundingIntervals: intervals,
+      funding,
+      liquidationFee,
+      totalCost: costs.totalCost + funding + liquidationFee,
+    };
+  }
+
+  // 持仓跨过的资金费结算次数：优先逐笔填写，其次按开平仓时间，再次按持仓晚数折算
+  fundingCount(opts) {
+    if (Number.isFinite(opts.fundingIntervals)) return opts.fundingIntervals;
+    const open = this.timeOf(opts.time);
+    const close = this.timeOf(opts.closeTime);
+    if (Number.isFinite(open) && Number.isFinite(close) && close >= open) {
+      return fundingIntervals(open, close, this.perp.fundingIntervalHours);
+    }
+    return Math.round((opts.nights || 0) * 24 / this.perp.fundingIntervalHours);
+  }
+
+  // 交易时间：数字视为毫秒时间戳，字符串按 parseTime 解析
+  timeOf(value) {
+    if (typeof value === 'number') return value;
+    return value ? parseTime(String(value)) : NaN;
+  }
+
+  // 按开 / 平仓时间模拟账户：持仓可重叠并共享保证金
+  // 持仓期间价格按入场价 → 出场价线性变化，净值含全部持仓浮动盈亏；新仓位按开仓时刻的可用保证金建仓
+  runConcurrent(trades) {
+    const events = [];
+    trades.forEach((t, index) => {
+      const open = this.timeOf(t.time);
+      const close = this.timeOf(t.closeTime);
+      if (!Number.isFinite(open) || !Number.isFinite(close) || close < open) return;
+      // 同一时刻先平仓再开仓；开平同刻的交易开仓后立即平仓
+      events.push({ type: 'open', time: open, rank: 1, index });
+      events.push({ type: 'close', time: close, rank: close === open ? 2 : 0, index });
+    });
+    events.sort((a, b) => (a.time - b.time) || (a.rank - b.rank) || (a.index - b.index));
+
+    let balance = this.principal;
+    const results = [];
+    const balanceCurve = [balance];
+    const accountCurve = [];
+    const positions = new Map();
+    let ruined = false;
+    let peakMargin = 0;
+    let minMarginLevel = Infinity;
+    let lastTime = events.length > 0 ? events[0].time : 0;
+    // 仓位策略只统计已平仓的交易
+    const sizingState = this.newSizingState();
+
+    const markPrice = (p, time) => {
+      const frac = p.closeTime > p.openTime
+        ? Math.min(1, Math.max(0, (time - p.openTime) / (p.closeTime - p.openTime)))
+        : 1;
+      return p.entry + (p.plannedExit - p.entry) * frac;
+    };
+    const floating = (p, price) => {
+      const diff = p.direction === 'long' ? price - p.entry : p.entry - price;
+      return p.units * diff * p.calc.resolveQuoteRate(price, p.opts.quoteRate);
+    };
+    const usedMargin = () => [...positions.values()].reduce((s, p) => s + p.margin, 0);
+    const equityAt = (time, except = null) => [...positions.values()]
+      .reduce((s, p) => p === except ? s : s + floating(p, markPrice(p, time)), balance);
+    // 其余持仓按 time 时刻的标记价计，账户保证金水平降到 level 时 p 的价格
+    const accountLevelPrice = (p, time, level) =>
+      p.calc.levelPrice(equityAt(time, p), usedMargin(), p.units, p.entry, p.entryRate, p.direction, level);
+
+    const closePosition = (p, price, time, liquidated) => {
+      positions.delete(p.index);
+      const result = p.calc.settle(p, price, {
+        ...p.account,
+        marginCalled: p.marginCalled || liquidated,
+        liquidated,
+        plannedExit: p.plannedExit,
+        worstPrice: p.worstPrice,
+      });
+      balance += result.profit;
+      results.push({ ...result, balanceAfter: balance, tradeIndex: p.index, openTime: p.openTime, closeTime: time });
+      balanceCurve.push(balance);
+      this.updateSizingState(sizingState, result, balance);
+    };
+
+    // 强平：全部持仓按 time 时刻标记价平仓，trigger 按触发价平仓
+    const stopOut = (time, trigger = null, triggerPrice = 0) => {
+      if (positions.size > 0) minMarginLevel = Math.min(minMarginLevel, this.stopOutLevel);
+      [...positions.values()].forEach(p => {
+        closePosition(p, p === trigger ? triggerPrice : markPrice(p, time), time, true);
+      });
+    };
+
+    // 持仓不变时净值随时间线性变化，事件时刻检查保证金水平即可；跌破强平水平时插值求触发时刻
+    const checkLevels = (time) => {
+      if (positions.size === 0) return;
+      const used = usedMargin();
+      const equity = equityAt(time);
+      if (equity <= used * this.marginCallLevel) positions.forEach(p => { p.marginCalled = true; });
+      const stopEquity = used * this.stopOutLevel;
+      minMarginLevel = Math.min(minMarginLevel, Math.max(equity, stopEquity) / used);
+      if (equity > stopEquity) return;
+      const prev = equityAt(lastTime);
+      const at = prev > stopEquity ? lastTime + (time - lastTime) * (prev - stopEquity) / (prev - equity) : lastTime;
+      stopOut(at);
+    };
+
+    for (const ev of events) {
+      checkLevels(ev.time);
+      const t = trades[ev.index];
+
+      if (ev.type === 'open') {
+        const calc = t.instrument ? this.forInstrument(t.instrument) : this;
+        const direction = t.direction || this.direction;
+        const equity = equityAt(ev.time);
+        const used = usedMargin();
+        const base = this.compounding ? equity : this.principal;
+        const pos = calc.sizePosition(base - used, t.entry, direction, { ...t, sizingState });
+        const rejected = calc.rejectReason(pos, equity - used);
+        if (rejected) {
+          const result = calc.rejectTrade(pos, rejected, { balance: equity, available: equity - used, plannedExit: t.exit });
+          results.push({ ...result, balanceAfter: balance, tradeIndex: ev.index, openTime: ev.time, closeTime: this.timeOf(t.closeTime) });
+          balanceCurve.push(balance);
+        } else {
+          const p = {
+            ...pos,
+            calc,
+            index: ev.index,
+            openTime: ev.time,
+            closeTime: this.timeOf(t.closeTime),
+            plannedExit: t.exit,
+            worstPrice: t.worstPrice > 0 ? t.worstPrice : null,
+            marginCalled: false,
+          };
+          positions.set(ev.index, p);
+          peakMargin = Math.max(peakMargin, used + pos.margin);
+          p.account = {
+            balance: equity,
+            freeMargin: equity - used - pos.margin,
+            liquidationPrice: accountLevelPrice(p, ev.time, this.stopOutLevel),
+            marginCallPrice: accountLevelPrice(p, ev.time, this.marginCallLevel),
+          };
+        }
+      } else if (positions.has(ev.index)) {
+        // 持仓期间最差价 (MAE) 按平仓时刻的账户状态判断是否触及强平
+        const p = positions.get(ev.index);
+        const liquidationPrice = accountLevelPrice(p, ev.time, this.stopOutLevel);
+        if (p.worstPrice !== null && this.crosses(p.worstPrice, liquidationPrice, p.direction)) {
+          stopOut(ev.time, p, liquidationPrice);
+        } else {
+          if (p.worstPrice !== null && this.crosses(p.worstPrice, accountLevelPrice(p, ev.time, this.marginCallLevel), p.direction)) {
+            p.marginCalled = true;
+          }
+          closePosition(p, p.plannedExit, ev.time, false);
+        }
+      }
+
+      lastTime = ev.time;
+      const used = usedMargin();
+      const equity = equityAt(ev.time);
+      accountCurve.push({ time: ev.time, balance, equity, usedMargin: used, freeMargin: equity - used });
+
+      // 余额归零（负余额保护）后剩余持仓按当前价平仓，序列终止
+      if (equity <= 0) {
+        stopOut(ev.time);
+        balance = 0;
+        balanceCurve[balanceCurve.length - 1] = 0;
+        ruined = true;
+        break;
+      }
+    }
+
+    const finalBalance = balance;
+    const totalProfit = finalBalance - this.principal;
+
+    return {
+      results,
+      balanceCurve,
+      accountCurve,
+      finalBalance,
+      totalProfit,
+      totalReturn: (totalProfit / this.principal) * 100,
+      totalCosts: results.reduce((s, r) => s + r.totalCost, 0),
+      liquidations: results.filter(r => r.liquidated).length,
+      marginCalls: results.filter(r => r.marginCalled).length,
+      ruined,
+      skippedTrades: trades.length - results.length,
+      rejectedTrades: results.filter(r => r.rejected).length,
+      concurrent: true,
+      peakMargin,
+      minMarginLevel: minMarginLevel * 100,
+    };
+  }
+
+  run(trades) {
+    if (this.concurrent) {
+      // 并发模式按时间结算，出入金按交易笔数排期，两者无法对齐
+      if (this.cashFlows.length > 0 || this.withdrawRule) throw new Error('并发持仓模式不支持出入金（cashFlows / withdrawRule）');
+      // 并发账户按 CFD 全仓计算强平价，与永续合约的逐仓 / 维持保证金档位不一致
+      if (this.perp) throw new Error('并发持仓模式不支持永续合约（perp）');
+      if (trades.some(t => t.legs?.length > 0)) throw new Error('并发持仓模式不支持加减仓（legs）');
+      return this.runConcurrent(trades);
+    }
+
+    const ledger = this.newCashLedger();
+    let balance = ledger ? this.applyCashFlows(ledger, 0, this.principal) : this.principal;
+    const results = [];
+    const balanceCurve = [balance];
+
+    let ruined = false;
+    const sizingState = this.newSizingState();
+
+    for (const t of trades) {
+      const dir = t.direction || this.direction;
+      const before = balance;
+      // 非复利：每笔按本金（含净存取款）计算仓位，盈亏累计在余额中
+      const result = this.calcTrade(balance, t.entry, t.exit, dir, { ...t, sizingState },
+        this.compounding ? balance : ledger ? ledger.capital : this.principal);
+      results.push(result);
+      balance = result.balanceAfter;
+
+      // 余额归零（负余额保护）后序列终止
+      if (balance <= 0) {
+        balance = 0;
+        ruined = true;
+      }
+      // 有出入金时按剔除出入金的净值更新仓位策略状态，存取款不计入回撤
+      if (ledger) {
+        ledger.growth *= before > 0 ? balance / before : 1;
+        ledger.navCurve.push(this.principal * ledger.growth);
+        if (!ruined) balance = this.applyCashFlows(ledger, results.length, balance);
+      }
+      this.updateSizingState(sizingState, result, ledger ? this.principal * ledger.growth : balance);
+      balanceCurve.push(balance);
+      // 余额全部取出后不再开仓，剩余交易计入未执行
+      if (ruined || balance <= 0) break;
+    }
+
+    const finalBalance = balance;
+    const totalProfit = finalBalance - this.principal + (ledger ? ledger.withdrawn - ledger.deposited : 0);
+    // 有出入金时为时间加权收益率：逐笔收益连乘，不受存取款金额与时点影响
+    const totalReturn = ledger ? (ledger.growth - 1) * 100 : (totalProfit / this.principal) * 100;
+    const totalCosts = results.reduce((s, r) => s + r.totalCost, 0);
+    const liquidations = results.filter(r => r.liquidated).length;
+    const marginCalls = results.filter(r => r.marginCalled).length;
+    const skippedTrades = trades.length - results.length;
+    const rejectedTrades = results.filter(r => r.rejected).length;
+
+    return {
+      results, balanceCurve, finalBalance, totalProfit, totalReturn, totalCosts,
+      liquidations, marginCalls, ruined, skippedTrades, rejectedTrades,
+      ...(ledger && {
+        cashFlows: ledger.events,
+        totalDeposited: ledger.deposited,
+        totalWithdrawn: ledger.withdrawn,
+        withdrawnCurve: balanceCurve.map((_, i) => ledger.withdrawnCurve[i] ?? ledger.withdrawnCurve[i - 1]),
+        navCurve: ledger.navCurve,
+      }),
+    };
+  }
+}
+
+// 逐笔结果的问题清单：error 为未能建仓（已拒绝），warning 为已建仓但需注意
+export function tradeIssues(results) {
+  const money = (v) => (v < 0 ? '-$' : '$') + Math.abs(v).toFixed(2);
+  const issues = [];
+  results.forEach((r, i) => {
+    const trade = (r.tradeIndex ?? i) + 1;
+    const add = (level, code, message) => issues.push({ trade, level, code, message });
+
+    if (r.rejected === 'noEdge') {
+      add('error', 'noEdge', '近期交易的凯利比例不为正（没有正期望），未建仓');
+    } else if (r.rejected === 'minLot') {
+      add('error', 'minLot', `按仓位规则为 ${+r.sizedLots.toFixed(4)} 手，不足最小手数 ${r.requiredLots}`
+        + `（最小手数需保证金 ${money(r.requiredMargin)}，可用资金 ${money(r.availableMargin)}），未建仓`);
+    } else if (r.rejected === 'margin') {
+      const leverage = r.availableMargin > 0 ? r.requiredMargin * r.maxLeverage / r.availableMargin : Infinity;
+      add('error', 'margin', `${+r.requiredLots.toFixed(4)} 手需保证金 ${money(r.requiredMargin)}，超过可用资金 ${money(r.availableMargin)}`
+        + `（实际杠杆 ${leverage === Infinity ? '∞' : leverage.toFixed(1) + 'x'}，上限 ${r.maxLeverage}x），未建仓`);
+    }
+    if (r.maxLot && !r.rejected) {
+      add('warning', 'maxLot', `按仓位规则为 ${+r.sizedLots.toFixed(4)} 手，超过品种最大手数 ${r.maxLot}，按 ${r.maxLot} 手建仓`);
+    }
+    (r.legs || []).forEach(leg => {
+      const action = `${leg.type === 'add' ? '加仓' : '减仓'} @ ${leg.price}`;
+      if (leg.rejected === 'margin') {
+        add('warning', 'leg', `${action}：${+leg.requiredLots.toFixed(4)} 手需保证金 ${money(leg.requiredMargin)}，超过可用保证金 ${money(leg.availableMargin)}，未执行`);
+      } else if (leg.rejected === 'maxLot') {
+        add('warning', 'leg', `${action}：持仓已达品种最大手数，未执行`);
+      } else if (leg.rejected === 'minLot') {
+        add('warning', 'leg', `${action}：不足最小手数，未执行`);
+      } else if (leg.rejected === 'flat') {
+        add('warning', 'leg', `${action}：此时已无持仓，未执行`);
+      } else if (leg.maxLotCapped) {
+        add('warning', 'leg', `${action}：超过品种最大手数，按 ${+leg.lots.toFixed(4)} 手加仓`);
+      }
+    });
+    if (r.balanceAfter < 0) {
+      add('warning', 'negativeBalance', `平仓后余额 ${money(r.balanceAfter)} 为负，按负余额保护归零`);
+    }
+  });
+  return issues;
+}
+
+// ═══════════════════════════════════════
+//  加仓与分批平仓
+// ═══════════════════════════════════════
+
+// 加减仓文本：逗号分隔，+ 为加仓、- 为减仓，数量为手数或百分比，@ 后为价格
+// 加仓百分比相对首次开仓手数，减仓百分比相对当时持仓；空文本返回 []，格式错误返回 null
+// 例："+0.05@2010, +50%@2020, -50%@2030"
+export function parseLegs(text) {
+  const parts = String(text || '').replace(/\s*@\s*/g, '@').split(/[,;，；\s]+/).filter(Boolean);
+  const legs = [];
+  for (const part of parts) {
+    const m = part.match(/^([+-])(\d*\.?\d+)(%?)@(\d*\.?\d+)$/);
+    if (!m) return null;
+    const type = m[1] === '+' ? 'add' : 'close';
+    const amount = parseFloat(m[2]);
+    const price = parseFloat(m[4]);
+    if (!(amount > 0) || !(price > 0) || (m[3] && type === 'close' && amount > 100)) return null;
+    legs.push(m[3] ? { type, price, pct: amount } : { type, price, lots: amount });
+  }
+  return legs;
+}
+
+// parseLegs 的逆过程；结果中的 legs 只输出已执行的加减仓
+export function formatLegs(legs) {
+  return legs
+    .filter(leg => leg.type !== 'exit' && !leg.rejected)
+    .map(leg => `${leg.type === 'add' ? '+' : '-'}${leg.pct !== undefined ? leg.pct + '%' : +leg.lots.toFixed(4)}@${leg.price}`)
+    .join(', ');
+}
+
+// ═══════════════════════════════════════
+//  出入金
+// ═══════════════════════════════════════
+
+export const WITHDRAW_MODES = { profit: '按期提取利润', highWater: '提取高水位以上部分' };
+
+// 存取款文本：逗号分隔的「第几笔之后:金额」，0 为首笔之前，正数存入、负数取出；空文本返回 []，格式错误返回 null
+// 例："0:+1000, 5:-500"
+export function parseCashFlows(text) {
+  const parts = String(text || '').replace(/\s*[:：]\s*/g, ':').split(/[,;，；\s]+/).filter(Boolean);
+  const flows = [];
+  for (const part of parts) {
+    const m = part.match(/^(\d+):([+-]?\d*\.?\d+)$/);
+    if (!m) return null;
+    const amount = parseFloat(m[2]);
+    if (amount === 0) return null;
+    flows.push({ after: parseInt(m[1], 10), amount });
+  }
+  return flows;
+}
+
+// parseCashFlows 的逆过程
+export function formatCashFlows(flows) {
+  return flows.map(f => `${f.after}:${f.amount > 0 ? '+' : ''}${f.amount}`).join(', ');
+}
+
+// ═══════════════════════════════════════
+//  永续合约
+// ═══════════════════════════════════════
+
+export const PERP_SETTLEMENTS = { linear: 'U 本位', inverse: '币本位' };
+export const MARGIN_MODES = { isolated: '逐仓', cross: '全仓' };
+
+// 默认维持保证金档位（参考主流交易所 BTC 永续）：maxNotional 为档位上限，mmr 为维持保证金率 %
+export const PERP_DEFAULT_TIERS = {
+  linear: [
+    { maxNotional: 50000, mmr: 0.4 },
+    { maxNotional: 500000, mmr: 0.5 },
+    { maxNotional: 8000000, mmr: 1 },
+    { maxNotional: 50000000, mmr: 2.5 },
+    { maxNotional: 80000000, mmr: 5 },
+    { maxNotional: 100000000, mmr: 10 },
+    { maxNotional: 200000000, mmr: 12.5 },
+    { maxNotional: 300000000, mmr: 15 },
+    { maxNotional: 500000000, mmr: 25 },
+    { maxNotional: Infinity, mmr: 50 },
+  ],
+  inverse: [
+    { maxNotional: 5, mmr: 0.5 },
+    { maxNotional: 10, mmr: 1 },
+    { maxNotional: 20, mmr: 2.5 },
+    { maxNotional: 40, mmr: 5 },
+    { maxNotional: 80, mmr: 10 },
+    { maxNotional: 160, mmr: 12.5 },
+    { maxNotional: 400, mmr: 15 },
+    { maxNotional: 800, mmr: 25 },
+    { maxNotional: Infinity, mmr: 50 },
+  ],
+};
+
+function resolvePerp(perp) {
+  const settlement = perp.settlement === 'inverse' ? 'inverse' : 'linear';
+  const tiers = perp.tiers?.length > 0 ? perp.tiers : PERP_DEFAULT_TIERS[settlement];
+  return {
+    settlement,
+    marginMode: perp.marginMode === 'cross' ? 'cross' : 'isolated',
+    faceValue: perp.faceValue || 100,
+    fundingRate: perp.fundingRate || 0,
+    fundingIntervalHours: perp.fundingIntervalHours || 8,
+    tiers: [...tiers].sort((a, b) => a.maxNotional - b.maxNotional),
+  };
+}
+
+// 名义价值所在档位，返回 { maxNotional, mmr（小数）, maintAmount }
+// 速算额 maintAmount 使相邻档位交界处的维持保证金连续：cum_i = cum_{i-1} + 下限_i × (mmr_i − mmr_{i-1})
+export function maintenanceTier(tiers, notional) {
+  let cum = 0;
+  let prev = null;
+  for (const t of tiers) {
+    const mmr = t.mmr / 100;
+    if (prev) cum += prev.maxNotional * (mmr - prev.mmr);
+    prev = { maxNotional: t.maxNotional, mmr };
+    if (notional <= t.maxNotional) break;
+  }
+  return prev ? { ...prev, maintAmount: cum } : { maxNotional: Infinity, mmr: 0, maintAmount: 0 };
+}
+
+// 持仓区间 (open, close] 内的资金费结算次数，结算时刻为 intervalHours 的整数倍（按时间戳计）
+export function fundingIntervals(open, close, intervalHours) {
+  const step = intervalHours * 3600000;
+  return Math.max(0, Math.floor(close / step) - Math.floor(open / step));
+}
+
+// ═══════════════════════════════════════
+//  仓位策略
+// ═══════════════════════════════════════
+
+// 构造参数 sizingMode 的取值；risk 无有效止损、凯利统计不足时按持仓比例 (margin) 计算
+export const SIZING_MODES = {
+  margin: '固定比例（持仓比例）',
+  risk: '固定比例（单笔风险）',
+  fixedLot: '固定手数',
+  fixedMargin: '固定保证金',
+  kelly: '分数凯利',
+  antiMartingale: '反马丁格尔（盈利后加码）',
+  martingale: '马丁格尔（亏损后加倍）',
+};
+
+// 亏损后加码，连败时仓位按指数增长
+export const DANGEROUS_SIZING = ['martingale'];
+
+export const KELLY_MIN_TRADES = 5;
+
+// 按收益率序列求凯利比例（名义价值占余额的倍数）：f = p / 平均亏损 − q / 平均盈利
+// 样本少于 KELLY_MIN_TRADES 或没有盈利 / 亏损时返回 null
+export function kellyCriterion(returns) {
+  const wins = returns.filter(r => r > 0);
+  const losses = returns.filter(r => r < 0);
+  if (returns.length < KELLY_MIN_TRADES || wins.length === 0 || losses.length === 0) return null;
+  const p = wins.length / returns.length;
+  const avgWin = wins.reduce((s, r) => s + r, 0) / wins.length;
+  const avgLoss = -losses.reduce((s, r) => s + r, 0) / losses.length;
+  return p / avgLoss - (1 - p) / avgWin;
+}
+
+// 同一交易序列按各仓位策略分别运行：首行为当前设置，其余关闭回撤降仓与实际成交，最后一行为持仓比例 + 回撤降仓
+// 未设置的固定手数 / 固定保证金取首笔交易按持仓比例计算的值，单笔风险只在有止损价时列出
+export function compareSizing(params, trades) {
+  const base = { ...params, useTradedQuantity: false, ddThreshold: 0 };
+  const first = new LeverageCalculator({ ...base, sizingMode: 'margin' }).run(trades.slice(0, 1)).results[0];
+  Object.assign(base, {
+    fixedLots: params.fixedLots || first?.lots || params.lotStep,
+    fixedMargin: params.fixedMargin || first?.margin || params.principal * params.marginRatio / 100,
+    riskPct: params.riskPct || 1,
+  });
+
+  const variants = [
+    { id: 'current', label: '当前设置', params },
+    ...Object.keys(SIZING_MODES)
+      .filter(id => id !== 'risk' || trades.some(t => t.stopLoss > 0))
+      .map(id => ({ id, label: SIZING_MODES[id], params: { ...base, sizingMode: id } })),
+    {
+      id: 'drawdown',
+      label: `${SIZING_MODES.margin} + 回撤降仓`,
+      params: { ...base, sizingMode: 'margin', ddThreshold: params.ddThreshold || 20, ddFactor: params.ddFactor ?? 50 },
+    },
+  ];
+
+  return variants.map(({ id, label, params: p }) => {
+    const data = new LeverageCalculator(p).run(trades);
+    return {
+      id,
+      label,
+      sizingMode: p.sizingMode || 'margin',
+      dangerous: DANGEROUS_SIZING.includes(p.sizingMode),
+      finalBalance: data.finalBalance,
+      totalReturn: data.totalReturn,
+      maxDrawdownPct: maxDrawdown(performanceCurve(data)).maxDDPct,
+      liquidations: data.liquidations,
+      rejectedTrades: data.rejectedTrades,
+      ruined: data.ruined,
+      balanceCurve: data.balanceCurve,
+    };
+  });
+}
+
+// ═══════════════════════════════════════
+//  Performance Statistics
+// ═══════════════════════════════════════
+
+// 计算回撤与绩效用的曲线：有出入金时为剔除存取款的净值 (navCurve)，否则为余额曲线
+export function performanceCurve(data) {
+  return data.navCurve || data.balanceCurve;
+}
+
+// 净值曲线的峰谷最大回撤
+export function maxDrawdown(curve) {
+  let peak = curve[0] || 0;
+  let maxDD = 0;
+  let maxDDPct = 0;
+  for (const v of curve) {
+    if (v > peak) peak = v;
+    const dd = peak - v;
+    if (dd > maxDD) maxDD = dd;
+    if (peak > 0 && dd / peak * 100 > maxDDPct) maxDDPct = dd / peak * 100;
+  }
+  return { maxDD, maxDDPct };
+}
+
+// 水下曲线：每个点相对此前最高净值的回撤 %（≤ 0）
+export function drawdownCurve(curve) {
+  let peak = curve[0] || 0;
+  return curve.map(v => {
+    if (v > peak) peak = v;
+    return peak > 0 ? (v - peak) / peak * 100 : 0;
+  });
+}
+
+// 等宽分箱，返回 [{ from, to, count, indices }]，indices 为落入该箱的数值下标
+export function histogramBins(values, binCount = 10) {
+  if (values.length === 0) return [];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const count = max > min ? binCount : 1;
+  const width = (max - min) / count || 1;
+  const bins = Array.from({ length: count }, (_, b) => ({
+    from: min + b * width,
+    to: count === 1 ? max : min + (b + 1) * width,
+    count: 0,
+    indices: [],
+  }));
+  values.forEach((v, i) => {
+    const bin = bins[Math.min(count - 1, Math.floor((v - min) / width))];
+    bin.count++;
+    bin.indices.push(i);
+  });
+  return bins;
+}
+
+// 由 run() 的 results / balanceCurve 计算绩效统计，收益率按逐笔 profitPct 计
+// 被拒绝（未建仓）的交易不计入统计
+export function calcStatistics(allResults, balanceCurve) {
+  const results = allResults.filter(r => !r.rejected);
+  const profits = results.map(r => r.profit);
+  const returns = results.map(r => r.profitPct / 100);
+  const wins = profits.filter(p => p > 0);
+  const losses = profits.filter(p => p < 0);
+  const sum = (arr) => arr.reduce((s, v) => s + v, 0);
+  const mean = (arr) => arr.length ? sum(arr) / arr.length : 0;
+
+  const grossWin = sum(wins);
+  const grossLoss = -sum(losses);
+  const avgWin = mean(wins);
+  const avgLoss = -mean(losses);
+  const winRate = results.length ? wins.length / results.length : 0;
+  const payoffRatio = avgLoss > 0 ? avgWin / avgLoss : Infinity;
+
+  let winStreak = 0;
+  let lossStreak = 0;
+  let curWin = 0;
+  let curLoss = 0;
+  for (const p of profits) {
+    curWin = p > 0 ? curWin + 1 : 0;
+    curLoss = p < 0 ? curLoss + 1 : 0;
+    winStreak = Math.max(winStreak, curWin);
+    lossStreak = Math.max(lossStreak, curLoss);
+  }
+
+  const { maxDD, maxDDPct } = maxDrawdown(balanceCurve);
+  const netProfit = balanceCurve[balanceCurve.length - 1] - balanceCurve[0];
+
+  const avgReturn = mean(returns);
+  const stdDev = Math.sqrt(mean(returns.map(r => (r - avgReturn) ** 2)));
+  const downsideDev = Math.sqrt(mean(returns.map(r => Math.min(0, r) ** 2)));
+
+  return {
+    trades: results.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: winRate * 100,
+    grossWin,
+    grossLoss,
+    profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : 0),
+    avgWin,
+    avgLoss,
+    payoffRatio,
+    expectancy: mean(profits),
+    expectancyPct: avgReturn * 100,
+    winStreak,
+    lossStreak,
+    maxDrawdown: maxDD,
+    maxDrawdownPct: maxDDPct,
+    recoveryFactor: maxDD > 0 ? netProfit / maxDD : (netProfit > 0 ? Infinity : 0),
+    sharpe: stdDev > 0 ? avgReturn / stdDev : 0,
+    sortino: downsideDev > 0 ? avgReturn / downsideDev : (avgReturn > 0 ? Infinity : 0),
+    // Kelly = W − (1 − W) / R，R 为平均盈亏比；无亏损交易时 R 为 ∞
+    kelly: (payoffRatio === Infinity ? winRate : winRate - (1 - winRate) / payoffRatio) * 100,
+  };
+}
+
+// 按品种汇总盈亏，顺序为首次出现的顺序
+export function groupBySymbol(results) {
+  const groups = new Map();
+  for (const r of results) {
+    if (r.rejected) continue;
+    const key = r.symbol || '-';
+    if (!groups.has(key)) {
+      groups.set(key, { symbol: key, trades: 0, wins: 0, grossProfit: 0, totalCost: 0, profit: 0 });
+    }
+    const g = groups.get(key);
+    g.trades++;
+    if (r.profit > 0) g.wins++;
+    g.grossProfit += r.grossProfit;
+    g.totalCost += r.totalCost;
+    g.profit += r.profit;
+  }
+  return [...groups.values()].map(g => ({ ...g, winRate: g.wins / g.trades * 100 }));
+}
+
+// ═══════════════════════════════════════
+//  Monte Carlo Simulation
+// ═══════════════════════════════════════
+
+export const MC_PERCENTILES = [5, 25, 50, 75, 95];
+
+// mulberry32：可复现的 32 位种子随机数
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, rng) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// 线性插值分位数，sorted 须升序
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function percentileSummary(sorted) {
+  const out = {};
+  MC_PERCENTILES.forEach(p => { out[`p${p}`] = percentile(sorted, p); });
+  return out;
+}
+
+// 打乱 (shuffle) 或有放回重抽 (bootstrap) 交易顺序，重复运行 LeverageCalculator.run
+// 破产：余额归零，或净值曾跌到本金 × ruinPct% 以下
+// 打乱顺序对按时间排列的并发持仓无意义，始终按顺序模式运行
+export function runMonteCarlo(params, trades, options = {}) {
+  const { iterations = 1000, method = 'shuffle', seed = 1, ruinPct = 0 } = options;
+  const rng = createRng(seed);
+  const calc = new LeverageCalculator({ ...params, concurrent: false });
+  const steps = trades.length;
+  const ruinLevel = params.principal * ruinPct / 100;
+
+  const columns = Array.from({ length: steps + 1 }, () => []);
+  const finals = [];
+  const drawdowns = [];
+  let ruinCount = 0;
+
+  for (let n = 0; n < iterations; n++) {
+    const sample = method === 'bootstrap'
+      ? trades.map(() => trades[Math.floor(rng() * steps)])
+      : shuffle([...trades], rng);
+    const data = calc.run(sample);
+    const { balanceCurve, ruined, results, cashFlows = [] } = data;
+
+    // 有出入金时加回已执行的净存取款，取出的钱仍计入结果（与 run 的 totalProfit 一致）
+    // 提前终止的序列以最后余额补齐
+    const curve = balanceCurve.map((v, i) => cashFlows.reduce((s, f) => f.after <= i ? s - f.amount : s, v));
+    while (curve.length <= steps) curve.push(curve[curve.length - 1]);
+
+    curve.forEach((v, i) => columns[i].push(v));
+    finals.push(curve[steps]);
+    drawdowns.push(maxDrawdown(performanceCurve(data)).maxDDPct);
+    // 破产只计交易亏损：按计划取款使余额降到阈值（如全部取出归零）不算
+    if (ruined || results.some(r => r.profit < 0 && r.balanceAfter <= ruinLevel)) ruinCount++;
+  }
+
+  const bands = {};
+  const sortedColumns = columns.map(c => c.sort((a, b) => a - b));
+  MC_PERCENTILES.forEach(p => {
+    bands[`p${p}`] = sortedColumns.map(c => percentile(c, p));
+  });
+
+  finals.sort((a, b) => a - b);
+  drawdowns.sort((a, b) => a - b);
+
+  return {
+    iterations,
+    method,
+    seed,
+    bands,
+    ruinProbability: ruinCount / iterations * 100,
+    finalBalance: percentileSummary(finals),
+    maxDrawdownPct: percentileSummary(drawdowns),
+    meanFinalBalance: finals.reduce((s, v) => s + v, 0) / iterations,
+    profitProbability: finals.filter(v => v > params.principal).length / iterations * 100,
+  };
+}
+
+// ═══════════════════════════════════════
+//  Parameter Sweep
+// ═══════════════════════════════════════
+
+export const SWEEP_MAX_STEPS = 50;
+
+// from → to 按 step 取值，范围无效或超过 SWEEP_MAX_STEPS 个时返回 null
+export function sweepValues(from, to, step) {
+  if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) return null;
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  if (count > SWEEP_MAX_STEPS) return null;
+  return Array.from({ length: count }, (_, i) => Math.round((from + i * step) * 1e8) / 1e8);
+}
+
+// 两个参数的全部组合各运行一次 LeverageCalculator.run
+// x / y 为 { key, values }，key 为构造参数名；cells[j][i] 对应 y.values[j]、x.values[i]
+export function runSweep(params, trades, x, y) {
+  const cells = y.values.map(yv => x.values.map(xv => {
+    const data = new LeverageCalculator({ ...params, [x.key]: xv, [y.key]: yv }).run(trades);
+    return {
+      finalBalance: data.finalBalance,
+      totalReturn: data.totalReturn,
+      maxDrawdownPct: maxDrawdown(performanceCurve(data)).maxDDPct,
+      liquidations: data.liquidations,
+      marginCalls: data.marginCalls,
+      ruined: data.ruined,
+      safe: data.liquidations === 0 && !data.ruined,
+    };
+  }));
+
+  // 每个 x 取值下，y 从小到大连续无强平的最大值（首个取值即强平时为 null）
+  const maxSafe = x.values.map((_, i) => {
+    let best = null;
+    for (let j = 0; j < y.values.length && cells[j][i].safe; j++) best = y.values[j];
+    return best;
+  });
+
+  return { x, y, cells, maxSafe };
+}
+
+// ═══════════════════════════════════════
+//  Goal Seek
+// ═══════════════════════════════════════
+
+// 可反推的参数：持仓比例与杠杆在 [min, max] 上按对数网格搜索，交易笔数逐笔检查；精度与页面输入框一致
+export const GOAL_VARIABLES = {
+  marginRatio: { label: '持仓比例', unit: '%', min: 1, max: 100, precision: 1 },
+  leverage: { label: '杠杆倍数', unit: 'x', min: 1, max: 3000, precision: 1 },
+  trades: { label: '交易笔数', unit: '笔', min: 1, max: 1000, precision: 1 },
+};
+
+// 约束均随参数增大而收紧：持仓比例 / 杠杆越大、笔数越多越容易违反；比较留浮点误差余量
+export const GOAL_CONSTRAINTS = {
+  minRoomPct: { label: '最小可回调空间', unit: '%', holds: (m, v) => m.minRoomPct >= v - 1e-9 },
+  maxLeverage: { label: '最大实际杠杆', unit: 'x', holds: (m, v) => m.maxLeverage <= v + 1e-9 },
+  maxDrawdownPct: { label: '账户最大回撤', unit: '%', holds: (m, v) => m.maxDrawdownPct <= v + 1e-9 },
+};
+
+const GOAL_GRID = 120;
+
+// 按平均每笔涨跌幅生成 count 笔相同的交易（做空时价格反向）
+export function averageTrades(count, pctPerTrade, price, direction = 'long') {
+  const exit = direction === 'long' ? price * (1 + pctPerTrade / 100) : price * (1 - pctPerTrade / 100);
+  return Array.from({ length: count }, () => ({ entry: price, exit, direction }));
+}
+
+// 逐笔累计：已建仓交易的最小可回调空间、最大实际杠杆，以及净值曲线的最大回撤
+// onTrade(n, metrics) 在第 n 笔之后调用
+function goalMetrics(data, onTrade = null) {
+  const m = { finalBalance: data.finalBalance, minRoomPct: Infinity, maxLeverage: 0, maxDrawdownPct: 0 };
+  const curve = performanceCurve(data);
+  let peak = curve[0];
+  data.results.forEach((r, i) => {
+    if (!r.rejected) {
+      m.minRoomPct = Math.min(m.minRoomPct, r.maxDDPct);
+      m.maxLeverage = Math.max(m.maxLeverage, r.effectiveLeverage);
+    }
+    const balance = curve[i + 1];
+    peak = Math.max(peak, balance);
+    if (peak > 0) m.maxDrawdownPct = Math.max(m.maxDrawdownPct, (peak - balance) / peak * 100);
+    if (onTrade) onTrade(i + 1, m);
+  });
+  return m;
+}
+
+// 网格点均为 precision 的整数倍；在 pass 由 before 变为 !before 的相邻两点间按 precision 二分
+// 返回 [最后一个仍为 before 的点, 第一个变化的点]，全程未变化时为 null
+function findFlip(grid, pass, precision, before) {
+  const k = grid.findIndex(v => pass(v) !== before);
+  if (k <= 0) return k === 0 ? [null, grid[0]] : null;
+  let lo = grid[k - 1];
+  let hi = grid[k];
+  while (hi - lo > precision * 1.5) {
+    const mid = Math.round((lo + hi) / 2 / precision) * precision;
+    if (pass(mid) === before) lo = mid;
+    else hi = mid;
+  }
+  return [lo, hi];
+}
+
+// 交易笔数：按序列循环展开到上限跑一次，逐笔累计指标（约束对前缀单调）
+function solveTradeCount(params, trades, targetBalance, constraints) {
+  const { max } = GOAL_VARIABLES.trades;
+  const sequence = Array.from({ length: max }, (_, k) => trades[k % trades.length]);
+  const data = new LeverageCalculator(params).run(sequence);
+
+  let required = data.balanceCurve[0] >= targetBalance ? 1 : null;
+  const limits = Object.fromEntries(Object.keys(constraints).map(key => [key, data.results.length]));
+  const violated = new Set();
+  goalMetrics(data, (n, m) => {
+    if (required === null && data.balanceCurve[n] >= targetBalance) required = n;
+    for (const key in constraints) {
+      if (!violated.has(key) && !GOAL_CONSTRAINTS[key].holds(m, constraints[key])) {
+        violated.add(key);
+        limits[key] = n > 1 ? n - 1 : null;
+      }
+    }
+  });
+  return {
+    required,
+    limits,
+    upper: data.results.length,
+    sequence: (n) => sequence.slice(0, n),
+    evaluate: (n) => new LeverageCalculator(params).run(sequence.slice(0, n)),
+  };
+}
+
+function solveParam(params, trades, variable, targetBalance, constraints) {
+  const { min, max, precision } = GOAL_VARIABLES[variable];
+  const snap = (v) => Math.round(Math.round(v / precision) * precision * 1e8) / 1e8;
+  const grid = [...new Set(Array.from({ length: GOAL_GRID }, (_, i) => snap(min * (max / min) ** (i / (GOAL_GRID - 1)))))];
+  const cache = new Map();
+  const run = (v) => {
+    if (!cache.has(v)) {
+      const data = new LeverageCalculator({ ...params, [variable]: v }).run(trades);
+      cache.set(v, { data, metrics: goalMetrics(data) });
+    }
+    return cache.get(v);
+  };
+  const metricsAt = (v) => run(v).metrics;
+
+  // 达到目标的最小值；每个约束仍满足的最大值（起点即不满足为 null，全程满足为 max）
+  const reached = findFlip(grid, v => metricsAt(v).finalBalance >= targetBalance, precision, false);
+  const required = reached === null ? null : snap(reached[1]);
+  const limits = {};
+  for (const key in constraints) {
+    const flip = findFlip(grid, v => GOAL_CONSTRAINTS[key].holds(metricsAt(v), constraints[key]), precision, true);
+    limits[key] = flip === null ? max : flip[0] === null ? null : snap(flip[0]);
+  }
+  return { required, limits, upper: max, sequence: () => trades, evaluate: (v) => run(v).data };
+}
+
+// 反推达到目标余额所需的最小参数取值，并检查约束允许的最大取值
+// goal: { variable, targetBalance, constraints: { minRoomPct?, maxLeverage?, maxDrawdownPct? } }
+// 返回 required（达到目标的最小值，范围内达不到为 null）、limit 与 binding（最紧的约束及其允许的最大值）、
+// feasible、value（可行时等于 required）以及 value（不可行时为 limit 或范围上限）处的 run 结果 data
+// 与其使用的交易序列 trades（求笔数时为循环展开后的前 value 笔）
+export function solveGoal(params, trades, { variable, targetBalance, constraints = {} }) {
+  const base = { ...params, concurrent: false };
+  const solved = variable === 'trades'
+    ? solveTradeCount(base, trades, targetBalance, constraints)
+    : solveParam(base, trades, variable, targetBalance, constraints);
+
+  // 只有把取值压到范围上限以下的约束才算限制
+  let binding = null;
+  for (const key in solved.limits) {
+    const cap = solved.limits[key] ?? -Infinity;
+    if (cap < solved.upper && (binding === null || cap < (solved.limits[binding] ?? -Infinity))) binding = key;
+  }
+  const limit = binding === null ? solved.upper : solved.limits[binding];
+  const feasible = solved.required !== null && limit !== null && solved.required <= limit;
+  const value = feasible ? solved.required : limit ?? GOAL_VARIABLES[variable].min;
+  const data = solved.evaluate(value);
+
+  return {
+    variable,
+    targetBalance,
+    required: solved.required,
+    limits: solved.limits,
+    limit,
+    binding,
+    feasible,
+    value,
+    data,
+    trades: solved.sequence(value),
+    metrics: goalMetrics(data),
+  };
+}
+
+// ═══════════════════════════════════════
+//  CSV 解析（多经纪商格式）
+// ═══════════════════════════════════════
+
+// 列别名：字符串按表头全等或前缀匹配（"price usd"），[别名, n] 取第 n 次出现（同名列）
+export const CSV_PROFILES = [
+  {
+    id: 'tradingview',
+    name: 'TradingView',
+    layout: 'grouped',
+    quantityUnit: 'units',
+    columns: {
+      tradeNo: ['trade #', '交易 #', '交易#', '交易'],
+      type: ['type', '类型'],
+      time: ['date/time', 'date and time', '日期/时间', 'date', '时间'],
+      price: ['price', '价格'],
+      quantity: ['contracts', 'quantity', 'position size', '仓位大小', '数量', 'size'],
+    },
+    required: ['tradeNo', 'type', 'price'],
+  },
+  {
+    id: 'mt4',
+    name: 'MT4',
+    layout: 'position',
+    quantityUnit: 'lots',
+    feeCurrency: 'account',
+    columns: {
+      ticket: ['ticket'],
+      time: ['open time'],
+      direction: ['type'],
+      quantity: ['size', 'lots', 'volume'],
+      symbol: ['item', 'symbol'],
+      entry: [['price', 0], 'open price'],
+      closeTime: ['close time'],
+      exit: [['price', 1], 'close price'],
+      commission: ['commission'],
+      taxes: ['taxes'],
+      swap: ['swap'],
+    },
+    required: ['ticket', 'time', 'closeTime', 'direction', 'entry', 'exit'],
+  },
+  {
+    id: 'mt5',
+    name: 'MT5',
+    layout: 'position',
+    quantityUnit: 'lots',
+    feeCurrency: 'account',
+    columns: {
+      position: ['position'],
+      time: [['time', 0]],
+      symbol: ['symbol'],
+      direction: ['type'],
+      quantity: ['volume'],
+      entry: [['price', 0]],
+      closeTime: [['time', 1]],
+      exit: [['price', 1]],
+      commission: ['commission'],
+      swap: ['swap'],
+    },
+    required: ['position', 'time', 'closeTime', 'direction', 'entry', 'exit'],
+  },
+  {
+    id: 'ctrader',
+    name: 'cTrader',
+    layout: 'position',
+    quantityUnit: 'units',
+    feeCurrency: 'account',
+    columns: {
+      symbol: ['symbol'],
+      direction: ['opening direction', 'direction'],
+      time: ['opening time'],
+      closeTime: ['closing time'],
+      entry: ['entry price', 'opening price'],
+      exit: ['closing price'],
+      quantity: ['closing quantity', 'quantity', 'volume'],
+      commission: ['commissions', 'commission'],
+      swap: ['swap'],
+    },
+    required: ['direction', 'time', 'entry', 'exit'],
+  },
+  {
+    id: 'binance',
+    name: 'Binance 合约',
+    layout: 'fills',
+    quantityUnit: 'units',
+    feeCurrency: 'quote',
+    columns: {
+      time: ['date(utc)', 'time(utc)', 'date'],
+      symbol: ['symbol'],
+      side: ['side'],
+      price: ['price'],
+      quantity: ['quantity', 'executed', 'qty'],
+      fee: ['fee', 'commission'],
+      realized: ['realized profit'],
+    },
+    required: ['time', 'symbol', 'side', 'price', 'quantity', 'realized'],
+  },
+  {
+    id: 'bybit',
+    name: 'Bybit 合约',
+    layout: 'fills',
+    quantityUnit: 'units',
+    feeCurrency: 'quote',
+    columns: {
+      time: ['exec time', 'transaction time', 'trade time'],
+      symbol: ['contracts', 'symbol'],
+      side: ['side', 'direction'],
+      price: ['exec price', 'filled price'],
+      quantity: ['exec qty', 'filled qty', 'qty'],
+      fee: ['exec fee', 'trading fee', 'fee'],
+    },
+    required: ['time', 'symbol', 'side', 'price', 'quantity'],
+  },
+];
+
+// 向导预填用的通用别名
+export const GENERIC_COLUMNS = {
+  tradeNo: ['trade #', 'trade', 'ticket', 'id', '交易 #', '编号'],
+  type: ['type', '类型'],
+  direction: ['direction', 'side', 'type', '方向', '类型'],
+  side: ['side', 'direction', 'type', '方向'],
+  entry: ['entry price', 'open price', 'entry', '开仓价', '入场价', ['price', 0]],
+  exit: ['exit price', 'close price', 'closing price', 'exit', '平仓价', '出场价', ['price', 1]],
+  price: ['price', '价格', '成交价'],
+  time: ['open time', 'opening time', 'date/time', 'time', 'date', '时间', '开仓时间'],
+  closeTime: ['close time', 'closing time', '平仓时间'],
+  symbol: ['symbol', 'item', 'instrument', 'contracts', '品种'],
+  quantity: ['quantity', 'qty', 'size', 'volume', 'lots', 'contracts', '数量', '手数'],
+  fee: ['fee', 'commission', 'fees', '手续费', '佣金'],
+};
+
+export const MAPPING_FIELDS = {
+  position: [
+    ['entry', '入场价', true], ['exit', '出场价', true], ['direction', '方向', true],
+    ['time', '开仓时间'], ['closeTime', '平仓时间'], ['symbol', '品种'], ['quantity', '数量'], ['fee', '手续费'],
+  ],
+  fills: [
+    ['time', '成交时间', true], ['side', '买卖方向', true], ['price', '成交价', true], ['quantity', '成交数量', true],
+    ['symbol', '品种'], ['fee', '手续费'],
+  ],
+  grouped: [
+    ['tradeNo', '交易编号', true], ['type', '类型（进场/出场）', true], ['price', '价格', true],
+    ['time', '时间'], ['quantity', '数量'],
+  ],
+};
+
+// 解析CSV单行（支持引号与 "" 转义）
+export function parseCSVLine(line, delimiter = ',') {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  result.push(current.trim());
+  
+  return result;
+}
+
+function detectDelimiter(line) {
+  const counts = ['\t', ';', ','].map(d => [d, parseCSVLine(line, d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// 表头取第一行至少 3 列的行（跳过报表抬头），返回 { headers, headerLine, rows: [{ line, cols }] }
+export function parseCSVTable(csvText) {
+  const lines = csvText.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let headerIdx = -1;
+  let delimiter = ',';
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    delimiter = detectDelimiter(lines[i]);
+    if (parseCSVLine(lines[i], delimiter).length >= 3) {
+      headerIdx = i;
+      break;
+    }
+  }
+  if (headerIdx < 0) return null;
+
+  const headers = parseCSVLine(lines[headerIdx], delimiter);
+  const rows = [];
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    rows.push({ line: i + 1, cols: parseCSVLine(lines[i], delimiter) });
+  }
+  return rows.length > 0 ? { headers, headerLine: headerIdx + 1, rows } : null;
+}
+
+function normalizeHeader(h) {
+  return h.toLowerCase().replace(/"/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// 按别名查找列索引，返回 { field: index }
+export function resolveColumns(headers, spec) {
+  const norm = headers.map(normalizeHeader);
+  const matches = (h, alias) => h === alias || h.startsWith(alias + ' ') || h.startsWith(alias + '(');
+  const columns = {};
+
+  for (const field in spec) {
+    for (const alias of spec[field]) {
+      const [name, nth] = Array.isArray(alias) ? alias : [alias, 0];
+      const hits = norm.map((h, i) => matches(h, name) ? i : -1).filter(i => i >= 0);
+      if (hits.length > nth) {
+        columns[field] = hits[nth];
+        break;
+      }
+    }
+  }
+  return columns;
+}
+
+// 必填列齐全的格式中取匹配列最多的一个
+export function detectCSVProfile(headers) {
+  let best = null;
+  let bestScore = 0;
+  for (const profile of CSV_PROFILES) {
+    const columns = resolveColumns(headers, profile.columns);
+    if (!profile.required.every(f => columns[f] !== undefined)) continue;
+    const score = Object.keys(columns).length;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// 清理数值中的千分位、引号与货币符号
+function cleanNum(s) {
+  if (s === undefined || s === null) return NaN;
+  return parseFloat(s.toString().replace(/[,"\s$]/g, ''));
+}
+
+function parseSide(text) {
+  const t = (text || '').toLowerCase();
+  if (/sell|short|空|卖/.test(t)) return 'short';
+  if (/buy|long|多|买/.test(t)) return 'long';
+  return null;
+}
+
+// 支持 2024.01.02 10:00、2024-01-02 10:00:00、2024/1/2 9:30 等格式，失败返回 NaN
+export function parseTime(text) {
+  if (!text) return NaN;
+  const pad = (v) => v.padStart(2, '0');
+  const s = text.trim().replace(
+    /^(\d{4})[-./](\d{1,2})[-./](\d{1,2})(?:[ T]+(\d{1,2}):)?/,
+    (_, y, m, d, h) => `${y}-${pad(m)}-${pad(d)}` + (h ? `T${pad(h)}:` : ''),
+  );
+  return Date.parse(s);
+}
+
+// 按时间先后比较交易记录，无法解析的时间退回按文本比较
+function compareTime(a, b) {
+  const ta = parseTime(a);
+  const tb = parseTime(b);
+  if (Number.isNaN(ta) || Number.isNaN(tb)) return (a || '').localeCompare(b || '');
+  return ta - tb;
+}
+
+export function extractTrades(table, layout, columns) {
+  const cell = (cols, field) => columns[field] !== undefined ? (cols[columns[field]] || '') : '';
+  switch (layout) {
+    case 'grouped': return extractGroupedTrades(table, cell);
+    case 'fills': return pairFills(table, cell);
+    case 'position':
+    default:
+      return extractPositionTrades(table, cell);
+  }
+}
+
+// 每行一笔持仓（MT4 / MT5 / cTrader）
+// commission / taxes / swap 为带符号的盈亏项（负数为支出），fee 列为正数费用
+function extractPositionTrades(table, cell) {
+  const trades = [];
+  const skipped = [];
+
+  for (const { line, cols } of table.rows) {
+    const direction = parseSide(cell(cols, 'direction'));
+    const entry = cleanNum(cell(cols, 'entry'));
+    const exit = cleanNum(cell(cols, 'exit'));
+    if (!direction) {
+      skipped.push({ line, reason: '非买卖记录' });
+      continue;
+    }
+    if (!(entry > 0) || !(exit > 0)) {
+      skipped.push({ line, reason: '缺少入场价或出场价' });
+      continue;
+    }
+
+    const signed = ['commission', 'taxes', 'swap'].reduce((s, f) => s + (cleanNum(cell(cols, f)) || 0), 0);
+    trades.push({
+      entry,
+      exit,
+      direction,
+      time: cell(cols, 'time'),
+      closeTime: cell(cols, 'closeTime'),
+      symbol: cell(cols, 'symbol'),
+      quantity: cleanNum(cell(cols, 'quantity')) || 0,
+      fee: Math.abs(cleanNum(cell(cols, 'fee')) || 0) - signed,
+    });
+  }
+  return { trades, skipped };
+}
+
+// 按交易编号分组的进场 / 出场行（TradingView）
+function extractGroupedTrades(table, cell) {
+  const rawTrades = table.rows.map(({ line, cols }) => ({
+    lineIndex: line,
+    tradeNo: cell(cols, 'tradeNo'),
+    type: cell(cols, 'type'),
+    time: cell(cols, 'time'),
+    price: cleanNum(cell(cols, 'price')) || 0,
+    quantity: cleanNum(cell(cols, 'quantity')) || 0,
+  }));
+  const trades = pairEntryExit(rawTrades);
+  const used = new Set(trades.map(t => t.tradeNo));
+  const skipped = rawTrades
+    .filter(t => !used.has(t.tradeNo))
+    .map(t => ({ line: t.lineIndex, reason: t.tradeNo ? '未找到配对的进场 / 出场' : '缺少交易编号' }));
+  return { trades, skipped };
+}
+
+// 配对进场和出场记录
+export function pairEntryExit(rawTrades) {
+  const pairs = [];
+  
+  // 按交易编号分组
+  const tradeGroups = {};
+  for (const t of rawTrades) {
+    const no = t.tradeNo;
+    if (!no) continue;
+    if (!tradeGroups[no]) tradeGroups[no] = [];
+    tradeGroups[no].push(t);
+  }
+
+  // 处理每组
+  for (const key in tradeGroups) {
+    const group = tradeGroups[key];
+    
+    // 找进场和出场
+    let entry = null, exit = null;
+    
+    for (const t of group) {
+      const type = t.type.toLowerCase();
+      if (type.includes('进场') || type.includes('入场') || 
+          type.includes('开仓') || type.includes('entry') || 
+          type.includes('open') || type.includes('进')) {
+        if (!entry) entry = t;
+      }
+      if (type.includes('出场') || type.includes('平仓') || 
+          type.includes('exit') || type.includes('close') || 
+          type.includes('出')) {
+        if (!exit) exit = t;
+      }
+    }
+
+    // 如果没有明确配对，尝试根据时间排序
+    if ((!entry || !exit) && group.length >= 2) {
+      // 按时间排序，第一条是进场，最后一条是出场
+      group.sort((a, b) => compareTime(a.time, b.time));
+      entry = group[0];
+      exit = group[group.length - 1];
+    }
+
+    if (entry && exit && entry.price > 0 && exit.price > 0) {
+      // 判断方向
+      const entryType = entry.type.toLowerCase();
+      let direction = 'long';
+      
+      if (entryType.includes('空头') || entryType.includes('short') || 
+          entryType.includes('卖') || entryType.includes('空')) {
+        direction = 'short';
+      }
+      
+      pairs.push({
+        tradeNo: key,
+        entry: entry.price,
+        exit: exit.price,
+        direction: direction,
+        time: entry.time,
+        closeTime: exit.time,
+        quantity: entry.quantity || exit.quantity || 0,
+      });
+    }
+  }
+
+  // 按时间排序
+  pairs.sort((a, b) => compareTime(a.time, b.time));
+  
+  return pairs;
+}
+
+// 逐笔成交按品种配对（Binance / Bybit）：同向成交加仓并摊薄均价，反向成交先平仓、超出部分反手开仓
+export function pairFills(table, cell) {
+  const fills = [];
+  const skipped = [];
+
+  for (const { line, cols } of table.rows) {
+    const side = parseSide(cell(cols, 'side'));
+    const price = cleanNum(cell(cols, 'price'));
+    const qty = Math.abs(cleanNum(cell(cols, 'quantity')));
+    if (!side || !(price > 0) || !(qty > 0)) {
+      skipped.push({ line, reason: '成交方向、价格或数量无效' });
+      continue;
+    }
+    const time = cell(cols, 'time');
+    fills.push({
+      line, side, price, qty, time,
+      ts: parseTime(time),
+      symbol: cell(cols, 'symbol') || '-',
+      fee: Math.abs(cleanNum(cell(cols, 'fee')) || 0),
+    });
+  }
+
+  // 交易所导出通常按时间倒序
+  fills.sort((a, b) => (a.ts - b.ts) || (a.line - b.line));
+
+  const positions = {};
+  const trades = [];
+  for (const f of fills) {
+    const sign = f.side === 'long' ? 1 : -1;
+    let pos = positions[f.symbol];
+    let qty = f.qty;
+    let fee = f.fee;
+
+    if (pos && Math.sign(pos.qty) !== sign) {
+      const closeQty = Math.min(qty, Math.abs(pos.qty));
+      const share = closeQty / Math.abs(pos.qty);
+      const closeFee = fee * closeQty / f.qty;
+      trades.push({
+        entry: pos.price,
+        exit: f.price,
+        direction: pos.qty > 0 ? 'long' : 'short',
+        time: pos.time,
+        closeTime: f.time,
+        symbol: f.symbol,
+        quantity: closeQty,
+        fee: pos.fee * share + closeFee,
+      });
+      pos.fee -= pos.fee * share;
+      pos.qty += sign * closeQty;
+      qty -= closeQty;
+      fee -= closeFee;
+      if (Math.abs(pos.qty) < 1e-12) {
+        delete positions[f.symbol];
+        pos = null;
+      }
+    }
+
+    if (qty > 1e-12) {
+      if (!pos) {
+        positions[f.symbol] = { qty: sign * qty, price: f.price, time: f.time, fee };
+      } else {
+        const total = Math.abs(pos.qty) + qty;
+        pos.price = (pos.price * Math.abs(pos.qty) + f.price * qty) / total;
+        pos.qty = sign * total;
+        pos.fee += fee;
+      }
+    }
+  }
+
+  for (const symbol in positions) {
+    skipped.push({ line: null, reason: `${symbol} 持仓未平仓，未导入` });
+  }
+  return { trades, skipped };
+}
+
+// 解析 TradingView CSV
+export function parseTradingViewCSV(csvText) {
+  const table = parseCSVTable(csvText);
+  if (!table) return [];
+  const profile = CSV_PROFILES.find(p => p.id === 'tradingview');
+  return extractTrades(table, profile.layout, resolveColumns(table.headers, profile.columns)).trades;
+}
+
+// ═══════════════════════════════════════
+//  OHLC 回放（由行情与规则生成交易）
+// ═══════════════════════════════════════
+
+// 表头按全等匹配，避免 "open" 误配 "open time"
+export const BAR_COLUMNS = {
+  time: ['time', 'date/time', 'datetime', 'timestamp', 'open time', 'date', '时间', '日期'],
+  open: ['open', 'o', '开盘', '开盘价'],
+  high: ['high', 'h', '最高', '最高价'],
+  low: ['low', 'l', '最低', '最低价'],
+  close: ['close', 'c', '收盘', '收盘价'],
+};
+
+export const ENTRY_RULES = {
+  'ma-cross': '均线交叉',
+  breakout: '通道突破',
+};
+
+// 解析 K 线：有表头时按 BAR_COLUMNS 取列（Date、Time 分列时合并）；
+// 无表头的 MT4 历史数据按 日期,时间,开,高,低,收[,量] 或 时间,开,高,低,收 的顺序读取
+export function extractBars(table) {
+  const norm = table.headers.map(normalizeHeader);
+  const find = (aliases) => {
+    for (const alias of aliases) {
+      const i = norm.indexOf(alias);
+      if (i >= 0) return i;
+    }
+    return -1;
+  };
+
+  let rows = table.rows;
+  let columns = Object.fromEntries(Object.keys(BAR_COLUMNS).map(f => [f, find(BAR_COLUMNS[f])]));
+  let dateColumn = norm.includes('date') && norm.includes('time') ? norm.indexOf('date') : -1;
+  if (dateColumn >= 0) columns.time = norm.indexOf('time');
+
+  if (Object.values(columns).some(i => i < 0)) {
+    if (!Number.isFinite(parseTime(table.headers[0]))) return null;
+    rows = [{ line: table.headerLine, cols: table.headers }, ...rows];
+    const split = /^\d{1,2}:\d{2}/.test(table.headers[1] || '');
+    dateColumn = split ? 0 : -1;
+    const first = split ? 2 : 1;
+    columns = { time: split ? 1 : 0, open: first, high: first + 1, low: first + 2, close: first + 3 };
+  }
+
+  const bars = [];
+  const skipped = [];
+  for (const { line, cols } of rows) {
+    const text = (dateColumn >= 0 ? `${cols[dateColumn]} ` : '') + (cols[columns.time] || '');
+    const bar = {
+      time: text.trim(),
+      ts: parseTime(text),
+      open: cleanNum(cols[columns.open]),
+      high: cleanNum(cols[columns.high]),
+      low: cleanNum(cols[columns.low]),
+      close: cleanNum(cols[columns.close]),
+    };
+    if (!Number.isFinite(bar.ts)) {
+      skipped.push({ line, reason: '时间无法解析' });
+    } else if (![bar.open, bar.high, bar.low, bar.close].every(v => v > 0)
+      || bar.high < Math.max(bar.open, bar.close) || bar.low > Math.min(bar.open, bar.close)) {
+      skipped.push({ line, reason: '开高低收无效' });
+    } else {
+      bars.push(bar);
+    }
+  }
+  bars.sort((a, b) => a.ts - b.ts);
+  return { bars, skipped };
+}
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  });
+  return out;
+}
+
+// 每根 K 线收盘时的信号：'long' / 'short' / null，于下一根开盘入场
+function entrySignals(bars, entry) {
+  const closes = bars.map(b => b.close);
+  if (entry.type === 'breakout') {
+    const n = entry.period;
+    return bars.map((b, i) => {
+      if (i < n) return null;
+      const prior = bars.slice(i - n, i);
+      if (b.close > Math.max(...prior.map(p => p.high))) return 'long';
+      if (b.close < Math.min(...prior.map(p => p.low))) return 'short';
+      return null;
+    });
+  }
+  const fast = sma(closes, entry.fast);
+  const slow = sma(closes, entry.slow);
+  return bars.map((_, i) => {
+    if (i === 0 || fast[i - 1] === null || slow[i - 1] === null) return null;
+    if (fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) return 'long';
+    if (fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) return 'short';
+    return null;
+  });
+}
+
+// 开仓到平仓跨越的自然日数，作为隔夜利息的晚数
+function nightsBetween(fromTs, toTs) {
+  const day = (ts) => {
+    const d = new Date(ts);
+    return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  };
+  return Math.max(0, Math.round((day(toTs) - day(fromTs)) / 86400000));
+}
+
+// 按规则回放 K 线生成交易（同一时间只持有一笔）
+// rules: { entry: { type, fast, slow, period, direction: long|short|both },
+//          takeProfit / stopLoss / trailingStop: { value, unit: points|pct }, maxBars, pointSize }
+// 每根 K 线内先检查止损（含跳空开盘）再检查止盈，同一根内两者都触及时按止损计；
+// 移动止损用已收盘 K 线的最优价更新；持仓期间的最差价写入 worstPrice，供 calcTrade 判断 K 线内强平
+export function replayBars(bars, rules) {
+  const signals = entrySignals(bars, rules.entry);
+  const allowed = (dir) => rules.entry.direction === 'both' || rules.entry.direction === dir;
+  const pointSize = rules.pointSize || 0;
+  const active = (rule) => rule && rule.value > 0;
+  const trades = [];
+
+  let i = 0;
+  while (i < bars.length - 1) {
+    const direction = signals[i];
+    if (!direction || !allowed(direction)) {
+      i++;
+      continue;
+    }
+
+    const long = direction === 'long';
+    const entryIndex = i + 1;
+    const entry = bars[entryIndex].open;
+    // sign 为 +1 向有利方向偏移，-1 向不利方向偏移
+    const offset = (price, rule, sign) => {
+      const dist = rule.unit === 'pct' ? price * rule.value / 100 : rule.value * pointSize;
+      return long === (sign > 0) ? price + dist : price - dist;
+    };
+    const adverseOf = (bar) => long ? bar.low : bar.high;
+    const favorableOf = (bar) => long ? bar.high : bar.low;
+    const worse = (a, b) => long ? Math.min(a, b) : Math.max(a, b);
+    const better = (a, b) => long ? Math.max(a, b) : Math.min(a, b);
+    const hit = (price, level) => level !== null && (long ? price <= level : price >= level);
+    const reach = (price, level) => level !== null && (long ? price >= level : price <= level);
+
+    const takeProfit = active(rules.takeProfit) ? offset(entry, rules.takeProfit, 1) : null;
+    const stopLoss = active(rules.stopLoss) ? offset(entry, rules.stopLoss, -1) : null;
+    let best = entry;
+    let worst = entry;
+    let exit = null;
+
+    let k = entryIndex;
+    for (; k < bars.length; k++) {
+      const bar = bars[k];
+      const trail = active(rules.trailingStop) ? offset(best, rules.trailingStop, -1) : null;
+      const stop = stopLoss === null ? trail : trail === null ? stopLoss : better(stopLoss, trail);
+      const stopReason = stop === trail && trail !== null ? 'trail' : 'stopLoss';
+
+      if (k > entryIndex && hit(bar.open, stop)) {
+        exit = { price: bar.open, reason: stopReason };
+        worst = worse(worst, bar.open);
+      } else if (k > entryIndex && reach(bar.open, takeProfit)) {
+        exit = { price: bar.open, reason: 'takeProfit' };
+      } else if (hit(adverseOf(bar), stop)) {
+        exit = { price: stop, reason: stopReason };
+        worst = worse(worst, stop);
+      } else if (reach(favorableOf(bar), takeProfit)) {
+        exit = { price: takeProfit, reason: 'takeProfit' };
+        worst = worse(worst, adverseOf(bar));
+      } else {
+        worst = worse(worst, adverseOf(bar));
+        best = better(best, favorableOf(bar));
+        if (rules.maxBars > 0 && k - entryIndex + 1 >= rules.maxBars) {
+          exit = { price: bar.close, reason: 'time' };
+        }
+      }
+      if (exit) break;
+    }
+    if (!exit) {
+      k = bars.length - 1;
+      exit = { price: bars[k].close, reason: 'end' };
+    }
+
+    trades.push({
+      direction,
+      entry,
+      exit: exit.price,
+      stopLoss,
+      worstPrice: worst,
+      time: bars[entryIndex].time,
+      closeTime: bars[k].time,
+      nights: nightsBetween(bars[entryIndex].ts, bars[k].ts),
+      bars: k - entryIndex + 1,
+      exitReason: exit.reason,
+    });
+    // 平仓所在 K 线收盘时的信号可在下一根入场
+    i = k;
+  }
+
+  return trades;
+}
+
+// ═══════════════════════════════════════
+//  Result Export
+// ═══════════════════════════════════════
+
+export function formatTime(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// 逐笔结果的全部字段（按首次出现顺序），首列为交易序号；时间戳转为可读时间
+export function resultRows(results) {
+  const keys = [];
+  results.forEach(r => Object.keys(r).forEach(k => { if (!keys.includes(k)) keys.push(k); }));
+  const value = (k, v) => {
+    if (k === 'legs') return v && formatLegs(v);
+    return (k === 'openTime' || k === 'closeTime') && Number.isFinite(v) ? formatTime(v) : v;
+  };
+  return [
+    ['trade', ...keys],
+    ...results.map((r, i) => [(r.tradeIndex ?? i) + 1, ...keys.map(k => value(k, r[k]))]),
+  ];
+}
+
+export function toCSV(rows) {
+  const cell = (v) => {
+    if (v === null || v === undefined) return '';
+    const text = String(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
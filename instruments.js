@@ -0,0 +1,208 @@
+// 品种目录：默认品种规格、经纪商预设与目录 JSON 的校验（不依赖 DOM，页面与命令行共用）
+
+// ═══════════════════════════════════════
+//  默认品种
+// ═══════════════════════════════════════
+
+export const CATALOG_VERSION = 1;
+
+export const INSTRUMENT_GROUPS = {
+  metals: '贵金属',
+  fxMajor: '外汇主要货币对',
+  fxCross: '外汇交叉货币对',
+  energy: '能源',
+  indices: '股指 CFD',
+  crypto: '加密货币',
+};
+
+// minLot 省略时为 lotStep；maxLot、maxLeverage 为 0 表示不限；spreadPoints 为该品种的点差（按其 pointSize 计），省略时为 0
+export const DEFAULT_INSTRUMENTS = [
+  // 贵金属
+  { symbol: 'XAUUSD', name: '黄金 (100盎司)', group: 'metals', contractSize: 100, lotStep: 0.01, pointSize: 0.01, baseCurrency: 'XAU', quoteCurrency: 'USD', info: '黄金 | 100盎司/手' },
+  { symbol: 'XAGUSD', name: '白银 (5,000盎司)', group: 'metals', contractSize: 5000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'XAG', quoteCurrency: 'USD', info: '白银 | 5000盎司/手' },
+  { symbol: 'XPTUSD', name: '铂金 (100盎司)', group: 'metals', contractSize: 100, lotStep: 0.01, pointSize: 0.01, baseCurrency: 'XPT', quoteCurrency: 'USD', info: '铂金 | 100盎司/手' },
+  { symbol: 'XPDUSD', name: '钯金 (100盎司)', group: 'metals', contractSize: 100, lotStep: 0.01, pointSize: 0.01, baseCurrency: 'XPD', quoteCurrency: 'USD', info: '钯金 | 100盎司/手' },
+  // 外汇主要货币对
+  { symbol: 'EURUSD', name: '欧元/美元', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'EUR', quoteCurrency: 'USD', info: '欧元/美元 | 100,000单位/手' },
+  { symbol: 'GBPUSD', name: '英镑/美元', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'GBP', quoteCurrency: 'USD', info: '英镑/美元 | 100,000单位/手' },
+  { symbol: 'USDJPY', name: '美元/日元', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'USD', quoteCurrency: 'JPY', info: '美元/日元 | 100,000单位/手' },
+  { symbol: 'USDCHF', name: '美元/瑞郎', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'USD', quoteCurrency: 'CHF', info: '美元/瑞郎 | 100,000单位/手' },
+  { symbol: 'AUDUSD', name: '澳元/美元', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'AUD', quoteCurrency: 'USD', info: '澳元/美元 | 100,000单位/手' },
+  { symbol: 'USDCAD', name: '美元/加元', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'USD', quoteCurrency: 'CAD', info: '美元/加元 | 100,000单位/手' },
+  { symbol: 'NZDUSD', name: '纽元/美元', group: 'fxMajor', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'NZD', quoteCurrency: 'USD', info: '纽元/美元 | 100,000单位/手' },
+  // 外汇交叉货币对
+  { symbol: 'EURGBP', name: '欧元/英镑', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'EUR', quoteCurrency: 'GBP', info: '欧元/英镑 | 100,000单位/手' },
+  { symbol: 'EURJPY', name: '欧元/日元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'EUR', quoteCurrency: 'JPY', info: '欧元/日元 | 100,000单位/手' },
+  { symbol: 'GBPJPY', name: '英镑/日元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'GBP', quoteCurrency: 'JPY', info: '英镑/日元 | 100,000单位/手' },
+  { symbol: 'EURCHF', name: '欧元/瑞郎', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'EUR', quoteCurrency: 'CHF', info: '欧元/瑞郎 | 100,000单位/手' },
+  { symbol: 'EURAUD', name: '欧元/澳元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'EUR', quoteCurrency: 'AUD', info: '欧元/澳元 | 100,000单位/手' },
+  { symbol: 'EURCAD', name: '欧元/加元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'EUR', quoteCurrency: 'CAD', info: '欧元/加元 | 100,000单位/手' },
+  { symbol: 'EURNZD', name: '欧元/纽元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'EUR', quoteCurrency: 'NZD', info: '欧元/纽元 | 100,000单位/手' },
+  { symbol: 'GBPCHF', name: '英镑/瑞郎', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'GBP', quoteCurrency: 'CHF', info: '英镑/瑞郎 | 100,000单位/手' },
+  { symbol: 'GBPAUD', name: '英镑/澳元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'GBP', quoteCurrency: 'AUD', info: '英镑/澳元 | 100,000单位/手' },
+  { symbol: 'GBPCAD', name: '英镑/加元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'GBP', quoteCurrency: 'CAD', info: '英镑/加元 | 100,000单位/手' },
+  { symbol: 'GBPNZD', name: '英镑/纽元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'GBP', quoteCurrency: 'NZD', info: '英镑/纽元 | 100,000单位/手' },
+  { symbol: 'AUDJPY', name: '澳元/日元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'AUD', quoteCurrency: 'JPY', info: '澳元/日元 | 100,000单位/手' },
+  { symbol: 'AUDCHF', name: '澳元/瑞郎', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'AUD', quoteCurrency: 'CHF', info: '澳元/瑞郎 | 100,000单位/手' },
+  { symbol: 'AUDCAD', name: '澳元/加元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'AUD', quoteCurrency: 'CAD', info: '澳元/加元 | 100,000单位/手' },
+  { symbol: 'AUDNZD', name: '澳元/纽元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'AUD', quoteCurrency: 'NZD', info: '澳元/纽元 | 100,000单位/手' },
+  { symbol: 'NZDJPY', name: '纽元/日元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'NZD', quoteCurrency: 'JPY', info: '纽元/日元 | 100,000单位/手' },
+  { symbol: 'NZDCHF', name: '纽元/瑞郎', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'NZD', quoteCurrency: 'CHF', info: '纽元/瑞郎 | 100,000单位/手' },
+  { symbol: 'NZDCAD', name: '纽元/加元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'NZD', quoteCurrency: 'CAD', info: '纽元/加元 | 100,000单位/手' },
+  { symbol: 'CADJPY', name: '加元/日元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'CAD', quoteCurrency: 'JPY', info: '加元/日元 | 100,000单位/手' },
+  { symbol: 'CADCHF', name: '加元/瑞郎', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.00001, baseCurrency: 'CAD', quoteCurrency: 'CHF', info: '加元/瑞郎 | 100,000单位/手' },
+  { symbol: 'CHFJPY', name: '瑞郎/日元', group: 'fxCross', contractSize: 100000, lotStep: 0.01, pointSize: 0.001, baseCurrency: 'CHF', quoteCurrency: 'JPY', info: '瑞郎/日元 | 100,000单位/手' },
+  // 能源
+  { symbol: 'USOIL', name: '美原油 WTI (1,000桶)', group: 'energy', contractSize: 1000, lotStep: 0.01, pointSize: 0.01, quoteCurrency: 'USD', info: '美原油 WTI | 1,000桶/手' },
+  { symbol: 'UKOIL', name: '布伦特原油 (1,000桶)', group: 'energy', contractSize: 1000, lotStep: 0.01, pointSize: 0.01, quoteCurrency: 'USD', info: '布伦特原油 | 1,000桶/手' },
+  { symbol: 'NGAS', name: '天然气 (10,000 mmBtu)', group: 'energy', contractSize: 10000, lotStep: 0.1, pointSize: 0.001, quoteCurrency: 'USD', info: '天然气 | 10,000 mmBtu/手' },
+  // 股指 CFD
+  { symbol: 'US30', name: '道琼斯30', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'USD', info: '道琼斯30 | $1/点/手' },
+  { symbol: 'US500', name: '标普500', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'USD', info: '标普500 | $1/点/手' },
+  { symbol: 'USTEC', name: '纳斯达克100', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'USD', info: '纳斯达克100 | $1/点/手' },
+  { symbol: 'UK100', name: '富时100', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'GBP', info: '富时100 | £1/点/手' },
+  { symbol: 'GER40', name: '德国DAX40', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'EUR', info: '德国DAX40 | €1/点/手' },
+  { symbol: 'FRA40', name: '法国CAC40', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'EUR', info: '法国CAC40 | €1/点/手' },
+  { symbol: 'JPN225', name: '日经225', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'JPY', info: '日经225 | ¥1/点/手' },
+  { symbol: 'AUS200', name: '澳洲200', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'AUD', info: '澳洲200 | A$1/点/手' },
+  { symbol: 'HK50', name: '恒生50', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'HKD', info: '恒生50 | HK$1/点/手' },
+  { symbol: 'CHINA50', name: '中国A50', group: 'indices', contractSize: 1, lotStep: 0.1, pointSize: 0.1, quoteCurrency: 'USD', info: '中国A50 | $1/点/手' },
+  // 加密货币
+  { symbol: 'BTCUSD', name: '比特币', group: 'crypto', contractSize: 1, lotStep: 0.01, pointSize: 0.01, baseCurrency: 'BTC', quoteCurrency: 'USD', info: '比特币 | 1 BTC/手' },
+  { symbol: 'ETHUSD', name: '以太坊', group: 'crypto', contractSize: 1, lotStep: 0.01, pointSize: 0.01, baseCurrency: 'ETH', quoteCurrency: 'USD', info: '以太坊 | 1 ETH/手' },
+  { symbol: 'LTCUSD', name: '莱特币', group: 'crypto', contractSize: 1, lotStep: 0.01, pointSize: 0.01, baseCurrency: 'LTC', quoteCurrency: 'USD', info: '莱特币 | 1 LTC/手' },
+  { symbol: 'XRPUSD', name: '瑞波币', group: 'crypto', contractSize: 1, lotStep: 0.01, pointSize: 0.0001, baseCurrency: 'XRP', quoteCurrency: 'USD', info: '瑞波币 | 1 XRP/手' },
+];
+
+// ═══════════════════════════════════════
+//  经纪商预设
+// ═══════════════════════════════════════
+
+// ESMA 零售杠杆上限：主要货币对（仅 USD EUR JPY GBP CAD CHF 之间）30 倍，其余外汇、黄金、主要股指 20 倍，
+// 其他商品与非主要股指 10 倍，加密货币 2 倍
+const ESMA_MAJOR_CURRENCIES = ['USD', 'EUR', 'JPY', 'GBP', 'CAD', 'CHF'];
+const ESMA_MAJOR_INDICES = ['US30', 'US500', 'USTEC', 'UK100', 'GER40', 'FRA40', 'JPN225', 'AUS200'];
+
+function esmaLeverage(inst) {
+  if (inst.group === 'fxMajor' || inst.group === 'fxCross') {
+    const major = [inst.baseCurrency, inst.quoteCurrency].every(c => ESMA_MAJOR_CURRENCIES.includes(c));
+    return major ? 30 : 20;
+  }
+  if (inst.symbol === 'XAUUSD') return 20;
+  if (inst.group === 'indices') return ESMA_MAJOR_INDICES.includes(inst.symbol) ? 20 : 10;
+  if (inst.group === 'crypto') return 2;
+  return 10;
+}
+
+const ECN_LEVERAGE = { metals: 200, fxMajor: 500, fxCross: 500, energy: 100, indices: 200, crypto: 20 };
+
+// adjust(inst) 返回覆盖默认规格的字段
+export const BROKER_PRESETS = {
+  standard: { name: '标准账户（不限杠杆与手数）', adjust: () => ({}) },
+  esma: { name: '欧盟零售（ESMA 杠杆上限）', adjust: (inst) => ({ maxLeverage: esmaLeverage(inst) }) },
+  ecn: {
+    name: 'ECN 账户示例（单笔 ≤ 50 手）',
+    adjust: (inst) => ({ maxLot: 50, maxLeverage: ECN_LEVERAGE[inst.group] }),
+  },
+};
+
+export function presetCatalog(id) {
+  const preset = BROKER_PRESETS[id];
+  if (!preset) return null;
+  return {
+    version: CATALOG_VERSION,
+    name: preset.name,
+    preset: id,
+    instruments: DEFAULT_INSTRUMENTS.map(inst => normalizeInstrument({ ...inst, ...preset.adjust(inst) })),
+  };
+}
+
+// ═══════════════════════════════════════
+//  目录校验
+// ═══════════════════════════════════════
+
+// 补齐可省略的字段并统一类型
+export function normalizeInstrument(raw) {
+  const num = (v, fallback = 0) => (v === undefined || v === null || v === '' ? fallback : Number(v));
+  const lotStep = num(raw.lotStep, 0.01);
+  return {
+    symbol: String(raw.symbol || '').trim().toUpperCase(),
+    name: String(raw.name || '').trim(),
+    group: String(raw.group || ''),
+    contractSize: num(raw.contractSize),
+    lotStep,
+    minLot: num(raw.minLot, lotStep),
+    maxLot: num(raw.maxLot),
+    pointSize: num(raw.pointSize),
+    baseCurrency: String(raw.baseCurrency || '').trim().toUpperCase(),
+    quoteCurrency: String(raw.quoteCurrency || 'USD').trim().toUpperCase(),
+    maxLeverage: num(raw.maxLeverage),
+    spreadPoints: num(raw.spreadPoints),
+    info: String(raw.info || '').trim(),
+  };
+}
+
+// 每点价值：1 手价格变动 1 点时的盈亏（报价货币）
+export function tickValue(inst) {
+  return inst.contractSize * inst.pointSize;
+}
+
+// 规格问题列表 [{ field, message }]，无问题时为空
+export function instrumentProblems(inst) {
+  const problems = [];
+  const add = (field, message) => problems.push({ field, message });
+  if (!/^[A-Z0-9._-]+$/.test(inst.symbol)) add('symbol', '品种代码只能包含字母、数字与 . _ -');
+  if (!(inst.group in INSTRUMENT_GROUPS)) add('group', '未知的品种分类');
+  if (!(inst.contractSize > 0)) add('contractSize', '合约面值需为正数');
+  if (!(inst.lotStep > 0)) add('lotStep', '手数步进需为正数');
+  if (!(inst.minLot >= 0)) add('minLot', '最小手数不能为负');
+  if (!(inst.maxLot >= 0)) add('maxLot', '最大手数不能为负');
+  else if (inst.maxLot > 0 && inst.maxLot < inst.minLot) add('maxLot', '最大手数不能小于最小手数');
+  if (!(inst.pointSize > 0)) add('pointSize', '点值需为正数');
+  if (!(inst.maxLeverage >= 0)) add('maxLeverage', '杠杆上限不能为负');
+  if (!(inst.spreadPoints >= 0)) add('spreadPoints', '点差不能为负');
+  if (!/^[A-Z]{3}$/.test(inst.quoteCurrency)) add('quoteCurrency', '报价货币应为 3 位字母代码');
+  return problems;
+}
+
+// 导入的目录 JSON：校验版本与每个品种，品种代码不能重复；有误时抛出 Error
+export function normalizeCatalog(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.instruments)) {
+    throw new Error('不是有效的品种目录（缺少 instruments 列表）');
+  }
+  if (data.version > CATALOG_VERSION) {
+    throw new Error(`目录版本 v${data.version} 高于页面支持的 v${CATALOG_VERSION}`);
+  }
+  const seen = new Set();
+  const instruments = data.instruments.map((raw, i) => {
+    const inst = normalizeInstrument(raw || {});
+    const label = inst.symbol || `第 ${i + 1} 个品种`;
+    const problem = instrumentProblems(inst)[0];
+    if (problem) throw new Error(`${label}：${problem.message}`);
+    if (seen.has(inst.symbol)) throw new Error(`${label}：品种代码重复`);
+    seen.add(inst.symbol);
+    return inst;
+  });
+  if (instruments.length === 0) throw new Error('品种目录为空');
+  return {
+    version: CATALOG_VERSION,
+    name: String(data.name || '').trim() || '自定义目录',
+    preset: data.preset in BROKER_PRESETS ? data.preset : null,
+    instruments,
+  };
+}
+
+// 目录 → LeverageCalculator 的品种参数 { 品种代码: 规格 }
+export function catalogInstruments(catalog) {
+  return Object.fromEntries(catalog.instruments.map(inst => [inst.symbol, {
+    contractSize: inst.contractSize,
+    lotStep: inst.lotStep,
+    minLot: inst.minLot,
+    maxLot: inst.maxLot,
+    maxLeverage: inst.maxLeverage,
+    baseCurrency: inst.baseCurrency,
+    quoteCurrency: inst.quoteCurrency,
+    pointSize: inst.pointSize,
+    spreadPoints: inst.spreadPoints,
+  }]));
+}
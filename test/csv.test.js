@@ -0,0 +1,147 @@
+// CSV 解析：基础切分、格式识别、TradingView 中英文导出的进出场配对
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LeverageCalculator, CSV_PROFILES, parseCSVLine, parseCSVTable, resolveColumns, detectCSVProfile,
+  extractTrades, pairEntryExit, parseTime,
+} from '../engine.js';
+import { assertGolden, readFixture } from './golden.js';
+
+function importCSV(name) {
+  const table = parseCSVTable(readFixture(name));
+  const profile = detectCSVProfile(table.headers);
+  const result = extractTrades(table, profile.layout, resolveColumns(table.headers, profile.columns));
+  return { profile, ...result };
+}
+
+describe('parseCSVLine / parseCSVTable', () => {
+  test('引号内的分隔符与转义引号', () => {
+    assert.deepEqual(parseCSVLine('1,"2,041.20","say ""hi""",x'), ['1', '2,041.20', 'say "hi"', 'x']);
+  });
+
+  test('分号分隔与 BOM', () => {
+    const table = parseCSVTable('\uFEFFa;b;c\r\n1;2;3\r\n\r\n4;5;6\r\n');
+    assert.deepEqual(table.headers, ['a', 'b', 'c']);
+    assert.deepEqual(table.rows.map(r => r.cols), [['1', '2', '3'], ['4', '5', '6']]);
+  });
+
+  test('没有表头时返回 null', () => {
+    assert.equal(parseCSVTable('\n\n'), null);
+  });
+});
+
+describe('parseTime', () => {
+  test('补齐一位数的月、日、小时', () => {
+    assert.equal(parseTime('2024/1/9 9:05'), parseTime('2024-01-09 09:05'));
+    assert.equal(parseTime('2024.01.09 09:05'), parseTime('2024-01-09T09:05'));
+    assert.ok(parseTime('2024/1/10 9:30') > parseTime('2024/1/9 16:00'));
+  });
+
+  test('无法解析时返回 NaN', () => {
+    assert.ok(Number.isNaN(parseTime('')));
+    assert.ok(Number.isNaN(parseTime('not a date')));
+  });
+});
+
+describe('TradingView 导出', () => {
+  test('英文表头：识别格式并按时间先后配对', () => {
+    const { profile, trades, skipped } = importCSV('tradingview-en.csv');
+    assert.equal(profile.id, 'tradingview');
+    assert.deepEqual(trades.map(t => t.tradeNo), ['1', '2', '3']);
+    assert.deepEqual(trades.map(t => t.direction), ['long', 'long', 'short']);
+    assert.equal(trades[2].entry, 2059.5);  // 带千分位的引号价格
+    assert.equal(trades[2].exit, 2041.2);
+    // 未平仓的第 4 笔只有进场
+    assert.deepEqual(skipped, [{ line: 2, reason: '未找到配对的进场 / 出场' }]);
+  });
+
+  test('中文表头：一位数日期按时间而非文本排序', () => {
+    const { profile, trades, skipped } = importCSV('tradingview-zh.csv');
+    assert.equal(profile.id, 'tradingview');
+    assert.deepEqual(trades.map(t => t.tradeNo), ['1', '2', '3']);
+    assert.deepEqual(trades.map(t => t.direction), ['long', 'short', 'long']);
+    assert.deepEqual(trades.map(t => t.quantity), [100, 100, 100]);
+    assert.deepEqual(skipped, []);
+  });
+
+  test('类型无法区分进出场时，组内按时间取首尾', () => {
+    const pairs = pairEntryExit([
+      { tradeNo: '1', type: 'Long', time: '2024/1/10 9:00', price: 110, quantity: 1 },
+      { tradeNo: '1', type: 'Long', time: '2024/1/9 9:00', price: 100, quantity: 1 },
+    ]);
+    assert.equal(pairs[0].entry, 100);
+    assert.equal(pairs[0].exit, 110);
+  });
+
+  for (const name of ['tradingview-en', 'tradingview-zh']) {
+    test(`黄金样本：${name} 导入并计算`, () => {
+      const { trades, skipped } = importCSV(`${name}.csv`);
+      const calc = new LeverageCalculator({
+        principal: 1000, leverage: 100, contractSize: name.endsWith('zh') ? 5000 : 100, lotStep: 0.01,
+        marginRatio: 20, direction: 'long', compounding: true, marginCallLevel: 100, stopOutLevel: 50,
+      });
+      assertGolden(name, { trades, skipped, run: calc.run(trades) });
+    });
+  }
+});
+
+describe('导入的手续费', () => {
+  const table = parseCSVTable([
+    'Ticket,Open Time,Type,Size,Item,Price,S / L,T / P,Close Time,Price,Commission,Taxes,Swap,Profit',
+    '1,2024.01.09 09:00,buy,10,xauusd,2000,0,0,2024.01.09 15:00,2010,-70,0,0,10000',
+  ].join('\n'));
+  const profile = detectCSVProfile(table.headers);
+  const { trades } = extractTrades(table, profile.layout, resolveColumns(table.headers, profile.columns));
+  const params = {
+    principal: 1000, leverage: 100, contractSize: 100, lotStep: 0.01, marginRatio: 10,
+    direction: 'long', compounding: true, quantityUnit: profile.quantityUnit,
+  };
+
+  test('按规则重新定仓时按手数比例折算', () => {
+    // 10 手的佣金 $70，按规则为 0.05 手 → $0.35
+    const r = new LeverageCalculator(params).run(trades).results[0];
+    assert.equal(r.lots, 0.05);
+    assert.ok(Math.abs(r.fee - 0.35) < 1e-9);
+    assert.ok(Math.abs(r.profit - 49.65) < 1e-9);
+  });
+
+  test('实际成交时按导入金额照计', () => {
+    const r = new LeverageCalculator({ ...params, principal: 100000, useTradedQuantity: true }).run(trades).results[0];
+    assert.equal(r.lots, 10);
+    assert.equal(r.fee, 70);
+  });
+
+  test('报价货币非美元时：账户货币的手续费不按汇率换算，报价货币的按汇率换算', () => {
+    const jpyTable = parseCSVTable([
+      'Ticket,Open Time,Type,Size,Item,Price,S / L,T / P,Close Time,Price,Commission,Taxes,Swap,Profit',
+      '1,2024.01.09 09:00,buy,10,usdjpy,150,0,0,2024.01.09 15:00,150.5,-70,0,0,3322.26',
+    ].join('\n'));
+    const { trades: jpy } = extractTrades(jpyTable, profile.layout, resolveColumns(jpyTable.headers, profile.columns));
+    const usdjpy = {
+      ...params, principal: 1000000, contractSize: 100000, baseCurrency: 'USD', quoteCurrency: 'JPY', feeCurrency: profile.feeCurrency,
+    };
+    assert.equal(profile.feeCurrency, 'account');
+    const resized = new LeverageCalculator(usdjpy).run(jpy).results[0];
+    assert.ok(Math.abs(resized.fee - 70 * resized.lots / 10) < 1e-9);
+    assert.equal(new LeverageCalculator({ ...usdjpy, useTradedQuantity: true }).run(jpy).results[0].fee, 70);
+    // 交易所格式的 Fee 列以报价货币计：1 USD = 150 JPY
+    const quoted = new LeverageCalculator({ ...usdjpy, useTradedQuantity: true, feeCurrency: 'quote' }).run(jpy).results[0];
+    assert.ok(Math.abs(quoted.fee - 70 / 150) < 1e-9);
+  });
+});
+
+describe('detectCSVProfile', () => {
+  test('MT4 报表', () => {
+    const headers = parseCSVLine('Ticket,Open Time,Type,Size,Item,Price,S / L,T / P,Close Time,Price,Commission,Taxes,Swap,Profit');
+    assert.equal(detectCSVProfile(headers).id, 'mt4');
+  });
+
+  test('无法识别时返回 null', () => {
+    assert.equal(detectCSVProfile(['foo', 'bar', 'baz']), null);
+  });
+
+  test('每种格式的必需列都在列定义中', () => {
+    CSV_PROFILES.forEach(p => p.required.forEach(f => assert.ok(p.columns[f], `${p.id}.${f}`)));
+  });
+});
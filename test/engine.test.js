@@ -0,0 +1,688 @@
+// LeverageCalculator：单笔计算、复利 / 非复利序列、追保与强平边界
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LeverageCalculator, calcStatistics, groupBySymbol, tradeIssues, drawdownCurve, histogramBins,
+  averageTrades, solveGoal, maintenanceTier, fundingIntervals, PERP_DEFAULT_TIERS, parseLegs, formatLegs,
+  kellyCriterion, compareSizing, parseCashFlows, formatCashFlows, performanceCurve, runMonteCarlo,
+} from '../engine.js';
+import { assertGolden } from './golden.js';
+
+// 黄金 (XAUUSD) 账户：本金 $1000、100 倍杠杆、持仓比例 10%
+const XAU = {
+  principal: 1000,
+  leverage: 100,
+  symbol: 'XAUUSD',
+  contractSize: 100,
+  lotStep: 0.01,
+  marginRatio: 10,
+  direction: 'long',
+  compounding: true,
+  marginCallLevel: 100,
+  stopOutLevel: 50,
+};
+
+const calc = (params = {}) => new LeverageCalculator({ ...XAU, ...params });
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} 期望 ${expected}，实际 ${actual}`);
+}
+
+describe('calcTrade', () => {
+  // 1000 × 10% × 100 / (100 × 2000) = 0.05 手 = 5 盎司，保证金 $100
+  test('做多盈利', () => {
+    const r = calc().calcTrade(1000, 2000, 2020, 'long');
+    near(r.lots, 0.05);
+    near(r.units, 5);
+    near(r.margin, 100);
+    near(r.contractValue, 10000);
+    near(r.effectiveLeverage, 10);
+    near(r.profit, 100);
+    near(r.profitPct, 10);
+    near(r.balanceAfter, 1100);
+    // 强平：(1000 − 100 × 50%) / 5 = 190；追保：(1000 − 100) / 5 = 180
+    near(r.liquidationPrice, 1810);
+    near(r.marginCallPrice, 1820);
+    assert.equal(r.liquidated, false);
+    assert.equal(r.marginCalled, false);
+  });
+
+  test('做空亏损', () => {
+    const r = calc().calcTrade(1000, 2000, 2020, 'short');
+    near(r.lots, 0.05);
+    near(r.profit, -100);
+    near(r.balanceAfter, 900);
+    near(r.liquidationPrice, 2190);
+    near(r.marginCallPrice, 2180);
+    assert.equal(r.liquidated, false);
+  });
+
+  test('点差、佣金与隔夜利息从盈亏中扣除', () => {
+    const r = calc({ pointSize: 0.01, spreadPoints: 30, commissionPerLot: 7, swapLong: -5 })
+      .calcTrade(1000, 2000, 2020, 'long', { nights: 2 });
+    near(r.spreadCost, 1.5);   // 5 × 30 × 0.01
+    near(r.commission, 0.7);   // 0.05 × 7 × 2
+    near(r.swap, -0.5);        // 0.05 × 2 × −5
+    near(r.totalCost, 2.7);
+    near(r.profit, 97.3);
+  });
+
+  test('按单笔风险计算仓位', () => {
+    // 风险 2% = $20，止损距离 10 → 2 盎司 = 0.02 手
+    const r = calc({ sizingMode: 'risk', riskPct: 2 }).calcTrade(1000, 2000, 1990, 'long', { stopLoss: 1990 });
+    assert.equal(r.sizing, 'risk');
+    near(r.lots, 0.02);
+    near(r.plannedRisk, 20);
+    near(r.rMultiple, -1);
+  });
+
+  test('逐笔品种覆盖全局合约参数', () => {
+    const r = calc().calcTrade(1000, 25, 26, 'long', { instrument: { symbol: 'XAGUSD', contractSize: 5000 } });
+    assert.equal(r.symbol, 'XAGUSD');
+    // 1000 × 10% × 100 / (5000 × 25) = 0.08 手 = 400 盎司
+    near(r.lots, 0.08);
+    near(r.profit, 400);
+  });
+});
+
+describe('追保与强平边界', () => {
+  test('出场价恰好等于强平价时强平', () => {
+    const r = calc().calcTrade(1000, 2000, 1810, 'long');
+    assert.equal(r.liquidated, true);
+    assert.equal(r.marginCalled, true);
+    near(r.exit, 1810);
+    near(r.balanceAfter, 50);  // 剩余保证金 × 强平水平
+  });
+
+  test('出场价略高于强平价时只追保', () => {
+    const r = calc().calcTrade(1000, 2000, 1810.01, 'long');
+    assert.equal(r.liquidated, false);
+    assert.equal(r.marginCalled, true);
+    near(r.exit, 1810.01);
+  });
+
+  test('持仓期间最差价越过强平价时按强平价平仓，即使出场价盈利', () => {
+    const r = calc().calcTrade(1000, 2000, 2050, 'long', { worstPrice: 1800 });
+    assert.equal(r.liquidated, true);
+    near(r.exit, 1810);
+    near(r.plannedExit, 2050);
+    near(r.profit, -950);
+  });
+
+  test('最差价在追保与强平之间', () => {
+    const r = calc().calcTrade(1000, 2000, 2050, 'long', { worstPrice: 1815 });
+    assert.equal(r.marginCalled, true);
+    assert.equal(r.liquidated, false);
+    near(r.exit, 2050);
+  });
+
+  test('做空强平', () => {
+    const r = calc().calcTrade(1000, 2000, 2300, 'short');
+    assert.equal(r.liquidated, true);
+    near(r.exit, 2190);
+    near(r.balanceAfter, 50);
+  });
+
+  test('余额归零后终止序列，剩余交易计入未执行', () => {
+    // 强平水平 0%：强平价 1800 时亏光全部余额，佣金使余额为负后按 0 计
+    const data = calc({ stopOutLevel: 0, commissionPerLot: 10 }).run([
+      { entry: 2000, exit: 1700 },
+      { entry: 2000, exit: 2100 },
+      { entry: 2000, exit: 2100 },
+    ]);
+    assert.equal(data.results.length, 1);
+    assert.equal(data.results[0].liquidated, true);
+    assert.ok(data.results[0].balanceAfter < 0);
+    assert.equal(data.ruined, true);
+    assert.equal(data.skippedTrades, 2);
+    assert.equal(data.finalBalance, 0);
+    assert.deepEqual(data.balanceCurve, [1000, 0]);
+  });
+});
+
+describe('拒绝建仓', () => {
+  test('不足最小手数时拒绝，而非强制开最小手数', () => {
+    // 1000 × 1% × 100 / 200000 = 0.005 手 < 0.01
+    const r = calc({ marginRatio: 1 }).calcTrade(1000, 2000, 2100, 'long');
+    assert.equal(r.rejected, 'minLot');
+    assert.equal(r.lots, 0);
+    assert.equal(r.profit, 0);
+    assert.equal(r.balanceAfter, 1000);
+    near(r.sizedLots, 0.005);
+    near(r.requiredMargin, 20);
+    near(r.plannedExit, 2100);
+  });
+
+  test('所需保证金超过余额时拒绝（风险仓位超出杠杆上限）', () => {
+    // 风险 5% = $50，止损距离 0.1 → 500 盎司 = 5 手，保证金 $10000
+    const r = calc({ sizingMode: 'risk', riskPct: 5 }).calcTrade(1000, 2000, 2001, 'long', { stopLoss: 1999.9 });
+    assert.equal(r.rejected, 'margin');
+    near(r.requiredLots, 5);
+    near(r.requiredMargin, 10000);
+    near(r.availableMargin, 1000);
+    const [issue] = tradeIssues([r]);
+    assert.equal(issue.level, 'error');
+    assert.match(issue.message, /实际杠杆 1000\.0x，上限 100x/);
+  });
+
+  test('实际成交数量超出可用保证金时拒绝', () => {
+    const r = calc({ useTradedQuantity: true }).calcTrade(1000, 2000, 2010, 'long', { quantity: 1 });
+    assert.equal(r.rejected, 'margin');
+    near(r.requiredMargin, 2000);
+  });
+
+  test('被拒绝的交易保留在结果中，但不计入统计', () => {
+    const data = calc({ principal: 30 }).run([
+      { entry: 2000, exit: 2100, symbol: 'XAUUSD' },
+      { entry: 20, exit: 21, instrument: { symbol: 'XAGUSD', contractSize: 1 } },
+    ]);
+    assert.deepEqual(data.results.map(r => r.rejected), ['minLot', null]);
+    assert.equal(data.rejectedTrades, 1);
+    assert.equal(data.skippedTrades, 0);
+    assert.deepEqual(data.balanceCurve.slice(0, 2), [30, 30]);
+    assert.equal(calcStatistics(data.results, data.balanceCurve).trades, 1);
+    assert.deepEqual(groupBySymbol(data.results).map(g => g.symbol), ['XAGUSD']);
+  });
+
+  test('并发模式：可用保证金不足的交易记为拒绝', () => {
+    const data = calc({ concurrent: true, marginRatio: 100, leverage: 10 }).run([
+      { entry: 2000, exit: 2010, time: '2024-01-01 10:00', closeTime: '2024-01-02 10:00' },
+      { entry: 2000, exit: 2010, time: '2024-01-01 11:00', closeTime: '2024-01-02 10:00' },
+    ]);
+    assert.deepEqual(data.results.map(r => [r.tradeIndex, r.rejected]), [[1, 'minLot'], [0, null]]);
+    assert.equal(data.rejectedTrades, 1);
+    assert.equal(data.skippedTrades, 0);
+  });
+
+  test('平仓后余额为负时给出警告', () => {
+    const data = calc({ stopOutLevel: 0, commissionPerLot: 10 }).run([{ entry: 2000, exit: 1700 }]);
+    assert.deepEqual(tradeIssues(data.results).map(i => [i.trade, i.level, i.code]), [[1, 'warning', 'negativeBalance']]);
+  });
+});
+
+describe('品种限制', () => {
+  test('品种杠杆上限低于账户杠杆时按上限计算保证金', () => {
+    const r = calc({ maxLeverage: 20 }).calcTrade(1000, 2000, 2020, 'long');
+    // 1000 × 10% × 20 / 200000 = 0.01 手，保证金 $100
+    near(r.lots, 0.01);
+    near(r.margin, 100);
+    assert.equal(calc({ maxLeverage: 500 }).calcTrade(1000, 2000, 2020, 'long').lots, 0.05);
+  });
+
+  test('逐笔品种的杠杆上限约束逐笔杠杆', () => {
+    const c = calc();
+    near(c.forInstrument({ leverage: 300, maxLeverage: 50 }).leverage, 50);
+    near(c.forInstrument({ maxLeverage: 30 }).leverage, 30);
+    near(calc({ maxLeverage: 20 }).forInstrument({ symbol: 'XAGUSD', maxLeverage: 0 }).leverage, 100);
+  });
+
+  test('不足品种最小手数时拒绝', () => {
+    // 0.05 手 < 最小 0.1 手
+    const r = calc({ minLot: 0.1 }).calcTrade(1000, 2000, 2020, 'long');
+    assert.equal(r.rejected, 'minLot');
+    near(r.requiredLots, 0.1);
+    near(r.requiredMargin, 200);
+  });
+
+  test('超过最大手数时按最大手数建仓并给出警告', () => {
+    const r = calc({ maxLot: 0.03 }).calcTrade(1000, 2000, 2020, 'long');
+    near(r.lots, 0.03);
+    near(r.sizedLots, 0.05);
+    near(r.profit, 60);
+    assert.deepEqual(tradeIssues([r]).map(i => [i.level, i.code]), [['warning', 'maxLot']]);
+    // 实际成交数量不受最大手数限制
+    assert.equal(calc({ maxLot: 0.03, useTradedQuantity: true }).calcTrade(1000, 2000, 2020, 'long', { quantity: 0.04 }).lots, 0.04);
+  });
+});
+
+describe('加仓与分批平仓', () => {
+  // 0.05 手 @ 2000 → 加仓 0.05 手 @ 2010 → 减仓一半 @ 2030 → 剩余 0.05 手 @ 2040 平仓
+  const legs = parseLegs('+0.05@2010, -50%@2030');
+
+  test('解析与格式化加减仓文本', () => {
+    assert.deepEqual(parseLegs(' +0.05 @ 2010；+50%@2020 -100%@2030 '), [
+      { type: 'add', price: 2010, lots: 0.05 },
+      { type: 'add', price: 2020, pct: 50 },
+      { type: 'close', price: 2030, pct: 100 },
+    ]);
+    assert.deepEqual(parseLegs(''), []);
+    assert.equal(parseLegs('0.05@2010'), null);
+    assert.equal(parseLegs('-150%@2030'), null);
+    assert.equal(formatLegs(parseLegs('+50%@2020, -0.02@2030')), '+50%@2020, -0.02@2030');
+  });
+
+  test('均价、逐段已实现盈亏、保证金与强平价随加减仓变化', () => {
+    const r = calc().calcTrade(1000, 2000, 2040, 'long', { legs });
+    near(r.entryLots, 0.05);
+    near(r.avgEntry, 2005);
+    assert.deepEqual(r.legs.map(l => [l.type, l.lots, l.positionLots]), [['add', 0.05, 0.1], ['close', 0.05, 0.05], ['exit', 0.05, 0]]);
+    near(r.legs[0].margin, 200.5);
+    // 1000 − 200.5 × 50% = 10 × (2005 − P)
+    near(r.legs[0].liquidationPrice, 2005 - 899.75 / 10);
+    near(r.legs[1].realized, 125);
+    near(r.legs[1].margin, 100.25);
+    near(r.legs[2].realized, 175);
+    near(r.profit, 300);
+    // 峰值持仓与离价格最近的一段爆仓价
+    near(r.lots, 0.1);
+    near(r.margin, 200.5);
+    near(r.contractValue, 20050);
+    near(r.liquidationPrice, r.legs[0].liquidationPrice);
+  });
+
+  test('最差价越过加仓后的强平价时在该段强平', () => {
+    const r = calc().calcTrade(1000, 2000, 2040, 'long', { legs, worstPrice: 1900 });
+    assert.equal(r.liquidated, true);
+    near(r.exit, 2005 - 89.975);
+    assert.deepEqual(r.legs.map(l => [l.type, l.liquidated || false]), [['add', false], ['exit', true]]);
+    near(r.balanceAfter, 100.25);
+    // 不加仓时 1900 未触及强平价 1810
+    assert.equal(calc().calcTrade(1000, 2000, 2040, 'long', { worstPrice: 1900 }).liquidated, false);
+  });
+
+  test('成本按累计开仓手数与平均持仓手数计', () => {
+    const r = calc({ commissionPerLot: 5, swapLong: -2 }).calcTrade(1000, 2000, 2040, 'long', { legs, nights: 3 });
+    near(r.commission, 1);
+    // 各段持仓 0.05 / 0.1 / 0.05 手
+    near(r.swap, -0.4);
+    near(r.profit, 300 - 1.4);
+  });
+
+  test('可用保证金不足的加仓不执行并给出警告', () => {
+    const r = calc().calcTrade(1000, 2000, 2040, 'long', { legs: parseLegs('+1@2010') });
+    assert.equal(r.legs[0].rejected, 'margin');
+    near(r.lots, 0.05);
+    near(r.profit, 200);
+    assert.deepEqual(tradeIssues([r]).map(i => [i.level, i.code]), [['warning', 'leg']]);
+  });
+});
+
+describe('仓位策略', () => {
+  // 非复利：每笔按本金 $1000 定仓，持仓比例 10% 时为 0.05 手
+  const flat = (params) => calc({ compounding: false, ...params });
+  const lotsOf = (data) => data.results.map(r => r.lots);
+  const at = (...exits) => exits.map(exit => ({ entry: 2000, exit }));
+
+  test('固定手数与固定保证金', () => {
+    near(calc({ sizingMode: 'fixedLot', fixedLots: 0.03 }).calcTrade(1000, 2000, 2020, 'long').lots, 0.03);
+    // 60 × 100 / (100 × 2000) = 0.03 手
+    const r = calc({ sizingMode: 'fixedMargin', fixedMargin: 60 }).calcTrade(1000, 2000, 2020, 'long');
+    near(r.lots, 0.03);
+    assert.equal(r.sizing, 'fixedMargin');
+  });
+
+  test('反马丁格尔盈利后加码、马丁格尔亏损后加倍，连续次数有上限', () => {
+    const trades = at(2010, 2010, 2010, 1990, 2010);
+    assert.deepEqual(lotsOf(flat({ sizingMode: 'antiMartingale', streakMax: 2 }).run(trades)), [0.05, 0.1, 0.2, 0.2, 0.05]);
+    const losing = trades.map(t => ({ ...t, direction: 'short' }));
+    const data = flat({ sizingMode: 'martingale', streakMax: 2 }).run(losing);
+    assert.deepEqual(lotsOf(data), [0.05, 0.1, 0.2, 0.2, 0.05]);
+    assert.equal(data.results[2].sizingFactor, 4);
+  });
+
+  test('回撤达到阈值时降仓，回到阈值以内恢复', () => {
+    // 亏 $100 后回撤 10%，下一笔 0.025 → 0.02 手；盈利 $80 后回撤 2%
+    const data = flat({ ddThreshold: 10, ddFactor: 50 }).run(at(1980, 2040, 2000));
+    assert.deepEqual(lotsOf(data), [0.05, 0.02, 0.05]);
+    assert.equal(data.results[1].sizingFactor, 0.5);
+  });
+
+  test('凯利比例：样本不足或缺少盈亏时为 null', () => {
+    // 0.6 / 0.5% − 0.4 / 1% = 80 倍名义价值
+    near(kellyCriterion([0.01, -0.005, 0.01, -0.005, 0.01]), 80);
+    assert.equal(kellyCriterion([0.01, -0.005, 0.01, -0.005]), null);
+    assert.equal(kellyCriterion([0.01, 0.01, 0.01, 0.01, 0.01]), null);
+  });
+
+  test('分数凯利：统计足够前按持仓比例，之后按凯利比例；凯利比例不为正时不建仓', () => {
+    const c = flat({ sizingMode: 'kelly', kellyFraction: 50 });
+    const data = c.run(at(2020, 1990, 2020, 1990, 2020, 2000));
+    assert.deepEqual(data.results.map(r => r.sizing), ['margin', 'margin', 'margin', 'margin', 'margin', 'kelly']);
+    // 80 × 50% = 40 倍 → 名义价值 $40000 = 0.2 手
+    near(data.results[5].kellyPct, 4000);
+    near(data.results[5].lots, 0.2);
+
+    const losing = c.run(at(2010, 1980, 1980, 2010, 1980, 2000));
+    assert.equal(losing.results[5].rejected, 'noEdge');
+    assert.deepEqual(tradeIssues(losing.results).map(i => i.code), ['noEdge']);
+  });
+
+  test('策略对比：当前设置在首行，危险策略有标记，固定手数默认取首笔手数', () => {
+    const rows = compareSizing({ ...XAU, compounding: false }, at(2010, 1990, 2010, 1990));
+    assert.deepEqual(rows.map(r => r.id), ['current', 'margin', 'fixedLot', 'fixedMargin', 'kelly', 'antiMartingale', 'martingale', 'drawdown']);
+    assert.deepEqual(rows.filter(r => r.dangerous).map(r => r.id), ['martingale']);
+    const byId = Object.fromEntries(rows.map(r => [r.id, r]));
+    near(byId.fixedLot.finalBalance, byId.margin.finalBalance);
+    near(byId.current.finalBalance, byId.margin.finalBalance);
+  });
+});
+
+describe('出入金', () => {
+  // 持仓比例 10%：余额 $1000 时 0.05 手，每 $1 价格变动盈亏 $5
+  const trades = [2020, 2010, 1990, 2030, 2020, 2000].map(exit => ({ entry: 2000, exit }));
+
+  test('存取款文本：第几笔之后与金额，格式错误或金额为 0 时返回 null', () => {
+    assert.deepEqual(parseCashFlows('0:+1000， 3：-500'), [{ after: 0, amount: 1000 }, { after: 3, amount: -500 }]);
+    assert.deepEqual(parseCashFlows(''), []);
+    assert.equal(parseCashFlows('3:abc'), null);
+    assert.equal(parseCashFlows('2:0'), null);
+    assert.equal(formatCashFlows(parseCashFlows('0:1000, 3:-500')), '0:+1000, 3:-500');
+  });
+
+  test('存取款计入余额曲线，收益率按时间加权、盈亏扣除净存入', () => {
+    const data = calc({ cashFlows: parseCashFlows('0:+1000, 3:-500') }).run(trades);
+    assert.deepEqual(data.balanceCurve.slice(0, 5), [2000, 2200, 2310, 1700, 1940]);
+    assert.deepEqual(data.withdrawnCurve, [0, 0, 0, 500, 500, 500, 500]);
+    assert.deepEqual(data.cashFlows.map(e => [e.after, e.type, e.amount]), [[0, 'deposit', 1000], [3, 'withdraw', -500]]);
+    // 第 3 笔亏损 $110，取款 $500 不计入回撤
+    near(data.navCurve[3], 1100);
+    near(data.totalProfit, data.finalBalance + 500 - 1000 - 1000);
+    near(data.totalReturn, (data.navCurve[6] / 1000 - 1) * 100);
+    near(calcStatistics(data.results, performanceCurve(data)).maxDrawdownPct, 55 / 1155 * 100);
+  });
+
+  test('非复利：仓位基数为本金加净存取款', () => {
+    const data = calc({ compounding: false, cashFlows: [{ after: 0, amount: 1000 }, { after: 1, amount: -1500 }] }).run(trades.slice(0, 3));
+    assert.deepEqual(data.results.map(r => r.lots), [0.1, 0.02, 0.02]);
+  });
+
+  test('按期提取利润：每 N 笔提取本期余额增量的比例', () => {
+    const data = calc({ withdrawRule: { mode: 'profit', every: 2, pct: 50 } }).run(trades);
+    // 第 2 笔后 1150 − 1000 → 提取 75；第 4 笔后 1175 − 1075 → 提取 50
+    assert.deepEqual(data.cashFlows.map(e => [e.after, e.type, e.amount]), [[2, 'sweep', -75], [4, 'sweep', -50], [6, 'sweep', -50]]);
+    near(data.totalWithdrawn, 175);
+    near(data.finalBalance, 1175);
+  });
+
+  test('按期提取利润：亏损后回本的部分不算利润', () => {
+    // 亏 $100 → $900（0.04 手），涨 25 回到 $1000 不提取；再赚 $50 时提取一半
+    const data = calc({ withdrawRule: { mode: 'profit', every: 1, pct: 50 } }).run([1980, 2025, 2010].map(exit => ({ entry: 2000, exit })));
+    assert.deepEqual(data.balanceCurve, [1000, 900, 1000, 1025]);
+    assert.deepEqual(data.cashFlows.map(e => [e.after, e.amount]), [[3, -25]]);
+  });
+
+  test('高水位：提取时点之间的余额新高同样抬高基准', () => {
+    // 第 1 笔后 $1100、第 2 笔后 $1050：按期提取利润提取 $50 的一半，高水位 $1100 未被超过
+    const at = [2020, 1990].map(exit => ({ entry: 2000, exit }));
+    const rule = (mode) => ({ withdrawRule: { mode, every: 2, pct: 50 } });
+    assert.deepEqual(calc(rule('profit')).run(at).cashFlows.map(e => e.amount), [-25]);
+    assert.deepEqual(calc(rule('highWater')).run(at).cashFlows, []);
+  });
+
+  test('高水位提取：余额不超过高水位，取款后的回落不计回撤', () => {
+    const data = calc({ withdrawRule: { mode: 'highWater', every: 1 } }).run(trades);
+    assert.ok(data.balanceCurve.every(v => v <= 1000));
+    assert.deepEqual(data.cashFlows.map(e => e.after), [1, 2, 4, 5]);
+    near(data.totalWithdrawn, 320);
+    near(data.totalProfit, 320);
+    // 只有第 3 笔亏损：50 / 1000
+    near(calcStatistics(data.results, performanceCurve(data)).maxDrawdownPct, 5);
+  });
+
+  test('取款不超过余额，全部取出后停止交易且不算爆仓', () => {
+    const data = calc({ cashFlows: [{ after: 2, amount: -99999 }] }).run(trades);
+    assert.deepEqual(data.balanceCurve, [1000, 1100, 0]);
+    near(data.totalWithdrawn, 1150);
+    assert.equal(data.ruined, false);
+    assert.equal(data.skippedTrades, 4);
+  });
+
+  test('蒙特卡洛：取款取光余额不算破产，交易亏损跌破阈值才算', () => {
+    const withdrawAll = runMonteCarlo({ ...XAU, cashFlows: [{ after: 2, amount: -99999 }] }, trades, { iterations: 20 });
+    assert.equal(withdrawAll.ruinProbability, 0);
+    // 每笔亏损约一半：1000 → 500 → 250 → 125，第 3 笔跌破 $200
+    const losses = runMonteCarlo(XAU, Array(3).fill({ entry: 2000, exit: 1900 }), { iterations: 5, ruinPct: 20 });
+    assert.equal(losses.ruinProbability, 100);
+  });
+
+  test('蒙特卡洛：有提取规则时最终净值加回已提取金额', () => {
+    // 全是盈利交易，高水位每笔全额提取：余额始终回到 $1000，利润都在已提取里
+    const wins = [2020, 2010, 2030].map(exit => ({ entry: 2000, exit }));
+    const params = { ...XAU, withdrawRule: { mode: 'highWater', every: 1 } };
+    const data = calc(params).run(wins);
+    assert.ok(data.balanceCurve.every(v => v <= 1000));
+    const mc = runMonteCarlo(params, wins, { iterations: 20 });
+    assert.equal(mc.profitProbability, 100);
+    near(mc.finalBalance.p50, 1000 + data.totalProfit);
+    near(mc.bands.p50[wins.length], 1000 + data.totalProfit);
+  });
+
+  test('并发持仓模式下设置出入金时报错', () => {
+    const timed = trades.map((t, i) => ({ ...t, time: `2024-01-0${i + 1} 10:00`, closeTime: `2024-01-0${i + 1} 12:00` }));
+    assert.throws(() => calc({ concurrent: true, cashFlows: [{ after: 1, amount: -100 }] }).run(timed), /并发持仓/);
+    assert.throws(() => calc({ concurrent: true, withdrawRule: { mode: 'profit', every: 2 } }).run(timed), /并发持仓/);
+    assert.equal(calc({ concurrent: true }).run(timed).concurrent, true);
+  });
+
+  test('未设置出入金时结果不含出入金字段', () => {
+    const data = calc().run(trades);
+    assert.equal('navCurve' in data, false);
+    assert.equal(performanceCurve(data), data.balanceCurve);
+  });
+});
+
+describe('图表数据', () => {
+  test('水下曲线为相对此前最高净值的回撤 %', () => {
+    assert.deepEqual(drawdownCurve([1000, 1200, 900, 1200, 1300]), [0, 0, -25, 0, 0]);
+  });
+
+  test('等宽分箱，最大值落入最后一箱', () => {
+    const bins = histogramBins([-10, -5, 0, 5, 10], 4);
+    assert.deepEqual(bins.map(b => [b.from, b.to, b.count]), [[-10, -5, 1], [-5, 0, 1], [0, 5, 1], [5, 10, 2]]);
+    assert.deepEqual(bins[3].indices, [3, 4]);
+  });
+
+  test('所有值相同时只有一箱', () => {
+    assert.deepEqual(histogramBins([2, 2, 2], 5).map(b => [b.from, b.to, b.count]), [[2, 2, 3]]);
+    assert.deepEqual(histogramBins([]), []);
+  });
+});
+
+describe('run', () => {
+  const trades = [
+    { entry: 2000, exit: 2100 },
+    { entry: 2000, exit: 2100 },
+  ];
+
+  test('复利：按上一笔后的余额开仓', () => {
+    const data = calc().run(trades);
+    // 第二笔：1500 × 10% × 100 / 200000 = 0.075 → 取整 0.07 手
+    near(data.results[1].lots, 0.07);
+    near(data.results[1].balanceBefore, 1500);
+    near(data.finalBalance, 2200);
+    near(data.totalReturn, 120);
+  });
+
+  test('非复利：每笔按本金开仓，余额为本金加累计盈亏', () => {
+    const data = calc({ compounding: false }).run([...trades, { entry: 2000, exit: 1950 }]);
+    data.results.forEach(r => near(r.lots, 0.05));
+    data.results.forEach(r => near(r.tradeCapital, 100));
+    assert.deepEqual(data.results.map(r => r.balanceBefore), [1000, 1500, 2000]);
+    assert.deepEqual(data.balanceCurve, [1000, 1500, 2000, 1750]);
+    near(data.finalBalance, 1750);
+    near(data.totalProfit, 750);
+  });
+
+  test('交易未指定方向时使用全局方向', () => {
+    const data = calc({ direction: 'short' }).run([{ entry: 2000, exit: 1900 }]);
+    assert.equal(data.results[0].direction, 'short');
+    near(data.finalBalance, 1500);
+  });
+
+  test('黄金样本：混合方向、成本与最差价的复利序列', () => {
+    const data = calc({ pointSize: 0.01, spreadPoints: 25, commissionPerLot: 5, swapLong: -4, swapShort: 1.5 }).run([
+      { direction: 'long', entry: 2034.8, exit: 2045.6, nights: 1 },
+      { direction: 'short', entry: 2043.0, exit: 2031.4, worstPrice: 2051.2 },
+      { direction: 'long', entry: 2059.5, exit: 2041.2, stopLoss: 2040 },
+      { direction: 'short', entry: 2041.2, exit: 2080, worstPrice: 2300 },
+      { direction: 'long', entry: 2033.8, exit: 2070.3, nights: 3 },
+    ]);
+    assertGolden('run-compounding', data);
+  });
+
+  test('黄金样本：非复利序列', () => {
+    const data = calc({ compounding: false, stopOutLevel: 20 }).run([
+      { direction: 'long', entry: 2034.8, exit: 2045.6 },
+      { direction: 'short', entry: 2043.0, exit: 2200 },
+      { direction: 'long', entry: 2059.5, exit: 2041.2 },
+    ]);
+    assertGolden('run-simple', data);
+  });
+});
+
+describe('solveGoal', () => {
+  const trades = averageTrades(20, 1, 2000);
+  const finalAt = (params) => calc(params).run(trades).finalBalance;
+
+  test('持仓比例：求达到目标的最小整数取值', () => {
+    const r = solveGoal(XAU, trades, { variable: 'marginRatio', targetBalance: 3000 });
+    assert.equal(r.feasible, true);
+    assert.equal(r.binding, null);
+    assert.ok(finalAt({ marginRatio: r.value }) >= 3000);
+    assert.ok(finalAt({ marginRatio: r.value - 1 }) < 3000);
+    assert.equal(r.data.finalBalance, finalAt({ marginRatio: r.value }));
+  });
+
+  test('约束限制取值时不可行，并指出起限制作用的约束', () => {
+    const r = solveGoal(XAU, trades, {
+      variable: 'marginRatio',
+      targetBalance: 3000,
+      constraints: { minRoomPct: 15, maxLeverage: 50 },
+    });
+    assert.equal(r.feasible, false);
+    assert.equal(r.binding, 'minRoomPct');
+    assert.ok(r.limit < r.required);
+    assert.equal(r.value, r.limit);
+    assert.equal(r.limits.maxLeverage, 50);
+    assert.ok(r.metrics.minRoomPct >= 15);
+    const next = calc({ marginRatio: r.limit + 1 }).run(trades);
+    assert.ok(Math.min(...next.results.map(t => t.maxDDPct)) < 15);
+  });
+
+  test('杠杆：实际杠杆上限换算为杠杆倍数上限', () => {
+    // 持仓比例 10% 时实际杠杆 = 杠杆 × 10%
+    const r = solveGoal(XAU, trades, { variable: 'leverage', targetBalance: 2000, constraints: { maxLeverage: 15 } });
+    assert.equal(r.feasible, true);
+    assert.equal(r.binding, 'maxLeverage');
+    assert.ok(Math.abs(r.limit - 150) <= 1);
+  });
+
+  test('交易笔数：序列循环展开，回撤约束按前缀检查', () => {
+    const r = solveGoal(XAU, [{ entry: 2000, exit: 2100 }, { entry: 2000, exit: 1900 }], {
+      variable: 'trades',
+      targetBalance: 1200,
+      constraints: { maxDrawdownPct: 30 },
+    });
+    // 每两笔：+50% 后 −(1.5 倍仓位的 50%) → 净值先升后降，回撤 50% 于第 2 笔出现
+    assert.equal(r.limits.maxDrawdownPct, 1);
+    assert.equal(r.required, 1);
+    assert.equal(r.feasible, true);
+    assert.equal(r.binding, 'maxDrawdownPct');
+  });
+
+  test('交易笔数：返回求解使用的展开序列，data 与之对应', () => {
+    const unit = [{ entry: 2000, exit: 2020 }, { entry: 2000, exit: 1990 }];
+    const r = solveGoal(XAU, unit, { variable: 'trades', targetBalance: 1200 });
+    assert.equal(r.feasible, true);
+    assert.ok(r.value > unit.length);
+    assert.equal(r.trades.length, r.value);
+    assert.deepEqual(r.trades[unit.length], unit[0]);
+    assert.deepEqual(r.data, calc({}).run(r.trades));
+  });
+
+  test('范围内达不到目标时 required 为 null', () => {
+    const r = solveGoal(XAU, averageTrades(5, -1, 2000), { variable: 'marginRatio', targetBalance: 2000 });
+    assert.equal(r.required, null);
+    assert.equal(r.feasible, false);
+  });
+});
+
+describe('永续合约', () => {
+  // BTC：本金 $10000、10 倍杠杆、持仓比例 10% → 名义价值 $10000，保证金 $1000
+  const BTC = { ...XAU, principal: 10000, leverage: 10, symbol: 'BTCUSD', contractSize: 1, lotStep: 0.001 };
+  const perp = (opts) => calc({ ...BTC, perp: { settlement: 'linear', marginMode: 'isolated', ...opts } });
+
+  test('维持保证金档位：速算额使档位交界处连续', () => {
+    const tiers = PERP_DEFAULT_TIERS.linear;
+    for (let i = 0; i < tiers.length - 1; i++) {
+      const n = tiers[i].maxNotional;
+      const lo = maintenanceTier(tiers, n);
+      const hi = maintenanceTier(tiers, n + 1e-6);
+      assert.ok(Math.abs((n * lo.mmr - lo.maintAmount) - (n * hi.mmr - hi.maintAmount)) < 1e-3, `档位 ${i}`);
+    }
+    assert.deepEqual(maintenanceTier(tiers, 600000), { maxNotional: 8000000, mmr: 0.01, maintAmount: 2550 });
+  });
+
+  test('U 本位逐仓：强平价按维持保证金率，强平损失整个仓位保证金', () => {
+    const r = perp().calcTrade(10000, 50000, 40000, 'long');
+    near(r.units, 0.2);
+    near(r.margin, 1000);
+    // 1000 + 0.2 × (P − 50000) = 0.2 × P × 0.4%
+    near(r.liquidationPrice, 9000 / (0.2 * 0.996));
+    assert.equal(r.liquidated, true);
+    assert.equal(r.marginCalled, false);
+    assert.equal(r.marginCallPrice, null);
+    near(r.profit, -1000);
+    near(r.balanceAfter, 9000);
+  });
+
+  test('全仓：以账户余额承担亏损，强平价更远', () => {
+    const isolated = perp().calcTrade(10000, 50000, 55000, 'short');
+    const cross = perp({ marginMode: 'cross' }).calcTrade(10000, 50000, 55000, 'short');
+    // 10000 + 0.2 × (50000 − P) = 0.2 × P × 0.4%
+    near(cross.liquidationPrice, 20000 / (0.2 * 1.004));
+    assert.ok(cross.liquidationPrice > isolated.liquidationPrice);
+    assert.equal(isolated.liquidated, true);
+    assert.equal(cross.liquidated, false);
+    near(cross.profit, -1000);
+  });
+
+  test('币本位：按面值计张数，强平价以币计保证金求解，未强平时盈亏与 U 本位一致', () => {
+    const c = perp({ settlement: 'inverse', faceValue: 100 });
+    const r = c.calcTrade(10000, 50000, 52000, 'long');
+    near(r.lots, 100);
+    near(r.units, 0.2);
+    // 0.02 + 10000 × (1/50000 − 1/P) = 10000 × 0.5% / P
+    near(r.liquidationPrice, 10000 * 1.005 / 0.22);
+    near(r.profit, perp().calcTrade(10000, 50000, 52000, 'long').profit);
+
+    const liq = c.calcTrade(10000, 50000, 40000, 'long');
+    // 损失 0.02 BTC 保证金，按强平价折算
+    near(liq.profit, -0.02 * liq.liquidationPrice);
+  });
+
+  test('资金费：按开平仓时间计结算次数，做多支付、做空收取', () => {
+    const hour = 3600000;
+    assert.equal(fundingIntervals(7.5 * hour, 24 * hour, 8), 3);
+    assert.equal(fundingIntervals(8 * hour, 15 * hour, 8), 0);
+
+    const c = perp({ fundingRate: 0.01 });
+    const long = c.calcTrade(10000, 50000, 50000, 'long', { time: 7.5 * hour, closeTime: 24 * hour });
+    assert.equal(long.fundingIntervals, 3);
+    near(long.funding, 10000 * 0.0001 * 3);
+    near(long.profit, -3);
+    const short = c.calcTrade(10000, 50000, 50000, 'short', { nights: 2 });
+    assert.equal(short.fundingIntervals, 6);
+    near(short.funding, -6);
+    near(short.profit, 6);
+  });
+
+  test('差价合约结果不含永续字段', () => {
+    const r = calc().calcTrade(1000, 2000, 2020, 'long');
+    assert.equal('funding' in r, false);
+  });
+
+  test('永续合约或并发持仓模式下带加减仓时报错', () => {
+    const legs = parseLegs('+0.1@59000');
+    const perpCalc = perp({});
+    assert.throws(() => perpCalc.run([{ entry: 60000, exit: 61000, legs }]), /加减仓/);
+    const timed = { entry: 60000, exit: 61000, legs, time: '2024-01-01 10:00', closeTime: '2024-01-01 12:00' };
+    assert.throws(() => calc({ ...BTC, concurrent: true }).run([timed]), /加减仓/);
+  });
+
+  test('并发持仓模式下启用永续合约时报错', () => {
+    const timed = [{ entry: 60000, exit: 61000, time: '2024-01-01 10:00', closeTime: '2024-01-01 12:00' }];
+    assert.throws(() => calc({ ...BTC, concurrent: true, perp: { settlement: 'linear', marginMode: 'isolated' } }).run(timed), /永续合约/);
+  });
+});
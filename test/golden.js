@@ -0,0 +1,23 @@
+// 黄金样本比对：结果与 test/fixtures/golden/<name>.json 逐字段比较
+// 引擎行为有意变更时，用 UPDATE_GOLDEN=1 npm test 重新生成样本并检查 diff
+
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+
+const GOLDEN_DIR = new URL('./fixtures/golden/', import.meta.url);
+
+export function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+export function assertGolden(name, actual) {
+  const file = new URL(`${name}.json`, GOLDEN_DIR);
+  // 经 JSON 往返，与样本文件同样处理 Infinity / undefined
+  const data = JSON.parse(JSON.stringify(actual));
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    return;
+  }
+  if (!existsSync(file)) assert.fail(`缺少黄金样本 ${name}.json，请用 UPDATE_GOLDEN=1 生成`);
+  assert.deepEqual(data, JSON.parse(readFileSync(file, 'utf8')), `与黄金样本 ${name}.json 不一致`);
+}
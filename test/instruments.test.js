@@ -0,0 +1,86 @@
+// 品种目录：经纪商预设、目录 JSON 校验与导出为计算参数
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_INSTRUMENTS, BROKER_PRESETS, presetCatalog, normalizeCatalog, normalizeInstrument, instrumentProblems,
+  catalogInstruments, tickValue,
+} from '../instruments.js';
+import { LeverageCalculator } from '../engine.js';
+
+describe('经纪商预设', () => {
+  test('每个预设包含全部默认品种且规格有效', () => {
+    Object.keys(BROKER_PRESETS).forEach(id => {
+      const catalog = presetCatalog(id);
+      assert.equal(catalog.instruments.length, DEFAULT_INSTRUMENTS.length);
+      catalog.instruments.forEach(inst => assert.deepEqual(instrumentProblems(inst), [], `${id}.${inst.symbol}`));
+    });
+    assert.equal(presetCatalog('unknown'), null);
+  });
+
+  test('ESMA：主要货币对 30 倍、含澳元 / 纽元的货币对 20 倍、加密货币 2 倍', () => {
+    const lev = Object.fromEntries(presetCatalog('esma').instruments.map(i => [i.symbol, i.maxLeverage]));
+    assert.deepEqual([lev.EURUSD, lev.GBPJPY, lev.AUDUSD, lev.XAUUSD, lev.XAGUSD, lev.HK50, lev.BTCUSD], [30, 30, 20, 20, 10, 10, 2]);
+  });
+
+  test('标准账户不限杠杆与最大手数，最小手数为手数步进', () => {
+    const ngas = presetCatalog('standard').instruments.find(i => i.symbol === 'NGAS');
+    assert.deepEqual([ngas.minLot, ngas.maxLot, ngas.maxLeverage], [0.1, 0, 0]);
+    assert.equal(tickValue(ngas), 10);
+  });
+});
+
+describe('normalizeCatalog', () => {
+  const inst = { symbol: 'xauusd.m', group: 'metals', contractSize: 100, lotStep: 0.01, pointSize: 0.01, maxLeverage: '200' };
+
+  test('补齐省略字段并统一大写与数值类型', () => {
+    const catalog = normalizeCatalog({ version: 1, instruments: [inst] });
+    assert.equal(catalog.name, '自定义目录');
+    assert.equal(catalog.preset, null);
+    assert.deepEqual(catalog.instruments[0], normalizeInstrument(inst));
+    assert.equal(catalog.instruments[0].symbol, 'XAUUSD.M');
+    assert.equal(catalog.instruments[0].maxLeverage, 200);
+    assert.equal(catalog.instruments[0].quoteCurrency, 'USD');
+  });
+
+  test('无效规格、重复代码与高版本时报错', () => {
+    assert.throws(() => normalizeCatalog({}), /缺少 instruments/);
+    assert.throws(() => normalizeCatalog({ instruments: [] }), /目录为空/);
+    assert.throws(() => normalizeCatalog({ instruments: [{ ...inst, contractSize: 0 }] }), /XAUUSD\.M：合约面值需为正数/);
+    assert.throws(() => normalizeCatalog({ instruments: [{ ...inst, minLot: 1, maxLot: 0.5 }] }), /最大手数不能小于最小手数/);
+    assert.throws(() => normalizeCatalog({ instruments: [inst, inst] }), /品种代码重复/);
+    assert.throws(() => normalizeCatalog({ instruments: [{ ...inst, spreadPoints: -1 }] }), /点差不能为负/);
+    assert.throws(() => normalizeCatalog({ version: 2, instruments: [inst] }), /v2/);
+  });
+
+  test('导出的预设可原样导入', () => {
+    const catalog = presetCatalog('ecn');
+    assert.deepEqual(normalizeCatalog(JSON.parse(JSON.stringify(catalog))), catalog);
+  });
+});
+
+describe('catalogInstruments', () => {
+  test('目录规格作为逐笔品种参数参与计算', () => {
+    const instruments = catalogInstruments(presetCatalog('esma'));
+    const calc = new LeverageCalculator({
+      principal: 1000, leverage: 400, contractSize: 100, lotStep: 0.01, marginRatio: 10, direction: 'long', compounding: true,
+    });
+    // 黄金上限 20 倍：1000 × 10% × 20 / (100 × 2000) = 0.01 手
+    const r = calc.calcTrade(1000, 2000, 2020, 'long', { instrument: { symbol: 'XAUUSD', ...instruments.XAUUSD } });
+    assert.equal(r.lots, 0.01);
+    assert.equal(r.symbol, 'XAUUSD');
+  });
+
+  test('逐笔品种按自身的点差计算，不沿用全局品种的点差', () => {
+    // 全局为黄金 30 点点差；比特币按自身点值 0.01 计 1500 点（$15）
+    const calc = new LeverageCalculator({
+      principal: 100000, leverage: 100, contractSize: 100, lotStep: 0.01, pointSize: 0.01, spreadPoints: 30,
+      marginRatio: 10, direction: 'long', compounding: true,
+    });
+    const btc = { symbol: 'BTCUSD', contractSize: 1, lotStep: 0.01, pointSize: 0.01, quoteCurrency: 'USD' };
+    const r = calc.calcTrade(100000, 50000, 51000, 'long', { instrument: { ...btc, spreadPoints: 1500 } });
+    assert.equal(r.spreadPoints, 1500);
+    assert.ok(Math.abs(r.spreadCost - r.units * 15) < 1e-9);
+    assert.equal(calc.calcTrade(100000, 50000, 51000, 'long', { instrument: btc }).spreadCost, 0);
+  });
+});
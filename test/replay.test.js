@@ -0,0 +1,125 @@
+// OHLC 回放：K 线解析、K 线内的止盈 / 止损 / 移动止损判断，生成的交易交给 run 计算强平
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LeverageCalculator, parseCSVTable, extractBars, replayBars } from '../engine.js';
+import { assertGolden, readFixture } from './golden.js';
+
+const bar = (time, open, high, low, close) => ({ time, ts: Date.parse(time), open, high, low, close });
+
+// 前两根构成 1 周期突破做多信号，第三根（tail[0]）开盘 103 入场
+function replayLong(tail, rules = {}) {
+  const bars = [
+    bar('2024-01-02T00:00', 100, 101, 99, 100),
+    bar('2024-01-02T04:00', 100, 103, 100, 102.5),
+    ...tail.map((ohlc, i) => bar(`2024-01-0${3 + i}T00:00`, ...ohlc)),
+  ];
+  return replayBars(bars, { entry: { type: 'breakout', period: 1, direction: 'long' }, pointSize: 0.01, ...rules });
+}
+
+describe('extractBars', () => {
+  test('日期与时间分列（MT4 导出），按时间排序', () => {
+    const { bars, skipped } = extractBars(parseCSVTable(
+      'Date,Time,Open,High,Low,Close\n2024.01.02,04:00,2,3,1,2.5\n2024.01.02,00:00,1,2,0.5,1.5\n',
+    ));
+    assert.deepEqual(bars.map(b => b.time), ['2024.01.02 00:00', '2024.01.02 04:00']);
+    assert.deepEqual(skipped, []);
+  });
+
+  test('无表头的 MT4 历史数据按列顺序读取', () => {
+    const { bars } = extractBars(parseCSVTable('2024.01.02,00:00,1,2,0.5,1.5,10\n2024.01.02,04:00,2,3,1,2.5,12\n'));
+    assert.equal(bars.length, 2);
+    assert.deepEqual([bars[0].open, bars[0].high, bars[0].low, bars[0].close], [1, 2, 0.5, 1.5]);
+  });
+
+  test('中文表头；时间无法解析或高低价矛盾的行跳过', () => {
+    const { bars, skipped } = extractBars(parseCSVTable(
+      '时间,开盘,最高,最低,收盘\n2024/1/2 9:00,1,2,0.5,1.5\n昨天,1,2,0.5,1.5\n2024/1/2 10:00,1,1.2,0.5,1.5\n',
+    ));
+    assert.equal(bars.length, 1);
+    assert.deepEqual(skipped, [{ line: 3, reason: '时间无法解析' }, { line: 4, reason: '开高低收无效' }]);
+  });
+
+  test('缺少开高低收列时返回 null', () => {
+    assert.equal(extractBars(parseCSVTable('Symbol,Side,Price\nXAUUSD,Buy,2000\n')), null);
+  });
+});
+
+describe('replayBars', () => {
+  test('K 线最高价触及止盈时按止盈价平仓', () => {
+    const [t] = replayLong([[103, 104, 102, 103.5], [103.5, 106, 103, 105]], { takeProfit: { value: 2, unit: 'pct' } });
+    assert.equal(t.entry, 103);
+    assert.equal(t.exit, 105.06);
+    assert.equal(t.exitReason, 'takeProfit');
+    assert.equal(t.worstPrice, 102);
+    assert.equal(t.bars, 2);
+  });
+
+  test('同一根 K 线内止损与止盈都触及时按止损计', () => {
+    const [t] = replayLong([[103, 106, 100.5, 104]], {
+      takeProfit: { value: 2, unit: 'pct' },
+      stopLoss: { value: 200, unit: 'points' },
+    });
+    assert.equal(t.exit, 101);
+    assert.equal(t.exitReason, 'stopLoss');
+    assert.equal(t.stopLoss, 101);
+    assert.equal(t.worstPrice, 101);
+  });
+
+  test('跳空越过止损时按开盘价成交', () => {
+    const [t] = replayLong([[103, 104, 102, 103], [99, 100, 98, 99.5]], { stopLoss: { value: 200, unit: 'points' } });
+    assert.equal(t.exit, 99);
+    assert.equal(t.worstPrice, 99);
+  });
+
+  test('持仓满 N 根 K 线后按收盘价平仓', () => {
+    const [t] = replayLong([[103, 104, 102, 103.5], [103.5, 104.5, 103, 104]], { maxBars: 2 });
+    assert.equal(t.exit, 104);
+    assert.equal(t.exitReason, 'time');
+    assert.equal(t.nights, 1);
+  });
+
+  test('移动止损随已收盘 K 线的最高价上移', () => {
+    const [t] = replayLong([[103, 105, 102.5, 104.5], [104.5, 104.8, 103.5, 104]], {
+      trailingStop: { value: 100, unit: 'points' },
+    });
+    assert.equal(t.exit, 104);
+    assert.equal(t.exitReason, 'trail');
+    assert.equal(t.stopLoss, null);
+  });
+
+  test('数据结束时按最后收盘价平仓；方向过滤', () => {
+    const [t] = replayLong([[103, 104, 102, 103.5]]);
+    assert.equal(t.exitReason, 'end');
+    assert.equal(t.exit, 103.5);
+    assert.deepEqual(replayLong([[103, 104, 102, 103.5]], { entry: { type: 'breakout', period: 1, direction: 'short' } }), []);
+  });
+
+  test('K 线内最差价触及强平价时，即使收盘盈利也按强平计算', () => {
+    const trades = replayLong([[103, 104, 80, 103.5]]);
+    const data = new LeverageCalculator({
+      principal: 1000, leverage: 100, contractSize: 1, lotStep: 0.01, marginRatio: 100,
+      direction: 'long', compounding: true, marginCallLevel: 100, stopOutLevel: 50,
+    }).run(trades);
+    assert.equal(data.results[0].liquidated, true);
+    assert.ok(data.results[0].exit > 80 && data.results[0].exit < 103);
+    assert.ok(data.finalBalance < 1000);
+  });
+
+  test('黄金样本：均线交叉回放并计算', () => {
+    const { bars } = extractBars(parseCSVTable(readFixture('bars-xauusd.csv')));
+    const trades = replayBars(bars, {
+      entry: { type: 'ma-cross', fast: 2, slow: 4, direction: 'both' },
+      takeProfit: { value: 1, unit: 'pct' },
+      stopLoss: { value: 1000, unit: 'points' },
+      trailingStop: { value: 800, unit: 'points' },
+      maxBars: 4,
+      pointSize: 0.01,
+    });
+    const calc = new LeverageCalculator({
+      principal: 1000, leverage: 100, contractSize: 100, lotStep: 0.01, marginRatio: 20,
+      direction: 'long', compounding: true, marginCallLevel: 100, stopOutLevel: 50, sizingMode: 'risk', riskPct: 2,
+    });
+    assertGolden('replay-xauusd', { trades, run: calc.run(trades) });
+  });
+});